@@ -3,46 +3,356 @@
  * Handles all communication with the backend API
  */
 
+/**
+ * User-facing text for each API error code
+ */
+const API_ERROR_MESSAGES = {
+    NETWORK_ERROR: 'Network error. Please check your connection.',
+    AUTH_FAILED: 'Your session has expired. Please log in again.',
+    INVALID_CREDENTIALS: 'Invalid username or password.',
+    ACCOUNT_DISABLED: 'This account has been suspended.',
+    UNAUTHORIZED: 'Please log in to continue.',
+    FORBIDDEN: 'You do not have permission to do that.',
+    NOT_FOUND: 'The requested resource was not found.',
+    CHAT_NOT_FOUND: 'This chat could not be found.',
+    CHAT_EXISTS: 'This chat has already been imported.',
+    SHARE_NOT_FOUND: 'This share link no longer exists.',
+    USER_EXISTS: 'A user with that username already exists.',
+    BAD_REQUEST: 'The request was invalid.',
+    VALIDATION_ERROR: 'Some of the information provided is invalid.',
+    MESSAGE_EMPTY: 'Message cannot be empty.',
+    MESSAGE_TOO_LONG: 'Message is too long.',
+    RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+    AI_SERVICE_ERROR: 'The AI service failed to respond. Please try again.',
+    SERVICE_UNAVAILABLE: 'The service is temporarily unavailable. Please try again shortly.',
+    SERVER_ERROR: 'Something went wrong on the server. Please try again.',
+    INVALID_RESPONSE: 'The server sent an unexpected response.',
+    STREAM_INTERRUPTED: 'The reply was cut off. Please try again.',
+    UNKNOWN_ERROR: 'Something went wrong. Please try again.'
+};
+
+/**
+ * Error thrown for failed API requests
+ */
+class ApiError extends Error {
+    /**
+     * @param {Object} details - Error details
+     * @param {string} details.code - Machine-readable error code
+     * @param {number|null} details.status - HTTP status, null when no response arrived
+     * @param {string} details.endpoint - Requested endpoint
+     * @param {boolean} details.retryable - Whether repeating the request may succeed
+     * @param {string|null} details.requestId - Backend request id for correlating logs
+     * @param {string} details.message - Developer-facing detail, e.g. the backend error text
+     */
+    constructor({ code, status = null, endpoint = '', retryable = false, requestId = null, message = '' }) {
+        super(message || code);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.retryable = retryable;
+        this.requestId = requestId;
+    }
+
+    /**
+     * Text to show the user for this error
+     * @returns {string} User-facing message
+     */
+    get userMessage() {
+        return API_ERROR_MESSAGES[this.code] || API_ERROR_MESSAGES.UNKNOWN_ERROR;
+    }
+
+    /**
+     * Build an error from a failed HTTP response
+     * @param {Response} response - Fetch response
+     * @param {Object|null} data - Parsed response body, if any
+     * @param {string} endpoint - Requested endpoint
+     * @returns {ApiError} Structured error
+     */
+    static fromResponse(response, data, endpoint) {
+        return new ApiError({
+            code: data?.code || ApiError.codeForStatus(response.ok ? null : response.status, endpoint),
+            status: response.status,
+            endpoint,
+            retryable: CONFIG.RETRY.RETRYABLE_STATUS.includes(response.status),
+            requestId: response.headers.get('X-Request-Id') || data?.requestId || null,
+            message: data?.error || `HTTP ${response.status}: ${response.statusText}`
+        });
+    }
+
+    /**
+     * Fallback error code when the backend didn't send one
+     * @param {number|null} status - HTTP status
+     * @param {string} endpoint - Requested endpoint
+     * @returns {string} Error code
+     */
+    static codeForStatus(status, endpoint) {
+        switch (status) {
+            case null: return 'INVALID_RESPONSE';
+            case 400: return 'BAD_REQUEST';
+            // On the login endpoint a 401 means a wrong password, not a missing session
+            case 401: return endpoint === CONFIG.ENDPOINTS.AUTH ? 'INVALID_CREDENTIALS' : 'UNAUTHORIZED';
+            case 403: return 'FORBIDDEN';
+            case 404: return 'NOT_FOUND';
+            case 409: return 'USER_EXISTS';
+            case 429: return 'RATE_LIMITED';
+            case 502:
+            case 503: return 'SERVICE_UNAVAILABLE';
+            default: return status >= 500 ? 'SERVER_ERROR' : 'UNKNOWN_ERROR';
+        }
+    }
+
+    /**
+     * Get user-facing text for any error
+     * @param {Error} error - Caught error
+     * @returns {string} User-facing message
+     */
+    static getUserMessage(error) {
+        return error instanceof ApiError ? error.userMessage : API_ERROR_MESSAGES.UNKNOWN_ERROR;
+    }
+
+    /**
+     * Build the error for a request that never got a response
+     * @param {Error} error - Error thrown by fetch
+     * @param {string} endpoint - Requested endpoint
+     * @returns {ApiError} Structured error
+     */
+    static network(error, endpoint) {
+        return new ApiError({
+            code: 'NETWORK_ERROR',
+            endpoint,
+            retryable: true,
+            message: error.message
+        });
+    }
+}
+
 class ApiClient {
     constructor() {
         this.baseUrl = CONFIG.API_BASE_URL;
+        this.activeProfileId = null;
         this.token = null;
         this.refreshToken = null;
+        this.tokenExpiresAt = null;
+        this.refreshTimer = null;
+        this.refreshRequestTimer = null;
+        this.refreshFailures = 0;
         this.isRefreshing = false;
         this.failedQueue = [];
         
         // Load token from storage
         this.loadTokenFromStorage();
         
-        // Set up periodic token refresh
+        // Set up expiry-driven token refresh
         this.setupTokenRefresh();
+        
+        // Share token rotation and logout with other tabs
+        this.setupTabSync();
     }
 
     /**
-     * Load authentication token from localStorage
+     * Read the stored profiles, migrating the single-account token slot if needed
+     * @returns {Object} Store with `lastActiveId` and `profiles`
      */
-    loadTokenFromStorage() {
-        const tokenData = Utils.storage.get(CONFIG.SECURITY.TOKEN_STORAGE_KEY);
-        if (tokenData) {
-            this.token = tokenData.accessToken;
-            this.refreshToken = tokenData.refreshToken;
+    getProfileStore() {
+        const store = Utils.storage.get(CONFIG.SECURITY.PROFILES_STORAGE_KEY);
+        if (store) return store;
+
+        const migrated = { lastActiveId: null, profiles: [] };
+        const legacyToken = Utils.storage.get(CONFIG.SECURITY.TOKEN_STORAGE_KEY);
+
+        if (legacyToken) {
+            const profile = {
+                id: Utils.generateId(),
+                baseUrl: CONFIG.API_BASE_URL,
+                accessToken: legacyToken.accessToken,
+                refreshToken: legacyToken.refreshToken,
+                expiresAt: legacyToken.expiresAt
+                    || this.getTokenExpiry(legacyToken.accessToken)
+                    || legacyToken.timestamp + CONFIG.SECURITY.TOKEN_REFRESH_INTERVAL,
+                user: null
+            };
+            migrated.profiles.push(profile);
+            migrated.lastActiveId = profile.id;
+
+            Utils.storage.set(CONFIG.SECURITY.PROFILES_STORAGE_KEY, migrated);
+            Utils.storage.remove(CONFIG.SECURITY.TOKEN_STORAGE_KEY);
         }
+
+        return migrated;
+    }
+
+    /**
+     * Read, change and write back the stored profiles
+     * @param {Function} mutate - Receives the store to modify in place
+     */
+    updateProfileStore(mutate) {
+        const store = this.getProfileStore();
+        mutate(store);
+        Utils.storage.set(CONFIG.SECURITY.PROFILES_STORAGE_KEY, store);
+    }
+
+    /**
+     * Get all signed-in profiles
+     * @returns {Array} Profiles, each a backend URL, token pair and cached user
+     */
+    getProfiles() {
+        return this.getProfileStore().profiles;
+    }
+
+    /**
+     * Get the profile this tab is using
+     * @returns {Object|null} Active profile
+     */
+    getActiveProfile() {
+        return this.getProfiles().find(profile => profile.id === this.activeProfileId) || null;
+    }
+
+    /**
+     * Update fields of the active profile
+     * @param {Object} changes - Fields to merge
+     */
+    updateActiveProfile(changes) {
+        if (!this.activeProfileId) return;
+
+        this.updateProfileStore(store => {
+            const profile = store.profiles.find(p => p.id === this.activeProfileId);
+            if (profile) {
+                Object.assign(profile, changes);
+            }
+        });
+    }
+
+    /**
+     * Switch this tab to another stored profile
+     * @param {string} profileId - Profile ID
+     */
+    switchProfile(profileId) {
+        this.processQueue(new ApiError({ code: 'AUTH_FAILED', status: 401 }), null);
+
+        this.activeProfileId = profileId;
+        this.updateProfileStore(store => {
+            store.lastActiveId = profileId;
+        });
+
+        this.loadTokenFromStorage();
+        this.scheduleTokenRefresh();
+    }
+
+    /**
+     * Point the client at a backend for a new sign-in, keeping stored profiles intact
+     * @param {string} baseUrl - Backend URL
+     */
+    prepareLogin(baseUrl) {
+        clearTimeout(this.refreshTimer);
+        this.activeProfileId = null;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.token = null;
+        this.refreshToken = null;
+        this.tokenExpiresAt = null;
+        Sync.setScope(null);
     }
 
     /**
-     * Save authentication token to localStorage
+     * Load authentication token from the active profile
+     */
+    loadTokenFromStorage() {
+        const store = this.getProfileStore();
+        const profile = store.profiles.find(p => p.id === (this.activeProfileId || store.lastActiveId))
+            || store.profiles[0];
+
+        this.activeProfileId = profile?.id || null;
+        this.baseUrl = profile?.baseUrl || CONFIG.API_BASE_URL;
+        this.token = profile?.accessToken || null;
+        this.refreshToken = profile?.refreshToken || null;
+        this.tokenExpiresAt = profile?.expiresAt || null;
+
+        Sync.setScope(this.activeProfileId);
+    }
+
+    /**
+     * Save authentication token to the active profile, creating one after a fresh sign-in
      * @param {string} accessToken - Access token
      * @param {string} refreshToken - Refresh token
+     * @param {number} expiresIn - Access token lifetime in seconds, as returned by the server
      */
-    saveTokenToStorage(accessToken, refreshToken) {
+    saveTokenToStorage(accessToken, refreshToken, expiresIn) {
         this.token = accessToken;
         this.refreshToken = refreshToken;
-        
-        Utils.storage.set(CONFIG.SECURITY.TOKEN_STORAGE_KEY, {
+        this.tokenExpiresAt = this.getTokenExpiry(accessToken, expiresIn)
+            || Date.now() + CONFIG.SECURITY.TOKEN_REFRESH_INTERVAL;
+
+        const tokenData = {
+            accessToken,
+            refreshToken,
+            expiresAt: this.tokenExpiresAt
+        };
+
+        if (!this.activeProfileId) {
+            this.activeProfileId = Utils.generateId();
+            this.updateProfileStore(store => {
+                store.profiles.push({ id: this.activeProfileId, baseUrl: this.baseUrl, user: null, ...tokenData });
+                store.lastActiveId = this.activeProfileId;
+            });
+            Sync.setScope(this.activeProfileId);
+        } else {
+            this.updateActiveProfile(tokenData);
+        }
+
+        this.scheduleTokenRefresh();
+
+        Sync.broadcast('tokens', {
             accessToken,
             refreshToken,
-            timestamp: Date.now()
+            expiresAt: this.tokenExpiresAt
+        });
+    }
+
+    /**
+     * Use tokens another tab obtained, without writing or broadcasting them again
+     * @param {Object} tokenData - Stored token data
+     */
+    adoptTokens({ accessToken, refreshToken, expiresAt }) {
+        this.token = accessToken;
+        this.refreshToken = refreshToken;
+        this.tokenExpiresAt = expiresAt;
+
+        clearTimeout(this.refreshRequestTimer);
+        this.refreshRequestTimer = null;
+
+        this.scheduleTokenRefresh();
+        this.processQueue(null, accessToken);
+    }
+
+    /**
+     * Pick up tokens another tab saved to localStorage
+     */
+    syncTokensFromStorage() {
+        const profile = this.getActiveProfile();
+        if (profile && profile.accessToken !== this.token) {
+            this.adoptTokens(profile);
+        }
+    }
+
+    /**
+     * Setup cross-tab handlers
+     */
+    setupTabSync() {
+        Sync.on('tokens', tokenData => this.adoptTokens(tokenData));
+
+        Sync.on('logout', () => {
+            this.processQueue(new ApiError({ code: 'AUTH_FAILED', status: 401 }), null);
+            this.clearTokenFromStorage();
+        });
+
+        // Only the leader rotates the refresh token, so followers ask it to
+        Sync.on('refresh-request', () => {
+            if (Sync.isLeader && this.refreshToken) {
+                this.refreshAccessToken();
+            }
         });
+
+        Sync.on('leader', () => this.refreshTokenIfNeeded());
     }
 
     /**
@@ -51,33 +361,110 @@ class ApiClient {
     clearTokenFromStorage() {
         this.token = null;
         this.refreshToken = null;
-        Utils.storage.remove(CONFIG.SECURITY.TOKEN_STORAGE_KEY);
+        this.tokenExpiresAt = null;
+        clearTimeout(this.refreshTimer);
+        clearTimeout(this.refreshRequestTimer);
+        this.refreshRequestTimer = null;
+
+        if (!this.activeProfileId) return;
+
+        // Other profiles stay signed in; only this one is forgotten
+        this.updateProfileStore(store => {
+            store.profiles = store.profiles.filter(profile => profile.id !== this.activeProfileId);
+            if (store.lastActiveId === this.activeProfileId) {
+                store.lastActiveId = store.profiles[0]?.id || null;
+            }
+        });
+
+        this.activeProfileId = null;
+        Sync.setScope(null);
+        Sync.broadcast('profiles-changed', {}, { global: true });
+    }
+
+    /**
+     * Work out when an access token expires
+     * @param {string} accessToken - JWT access token
+     * @param {number} expiresIn - Lifetime in seconds, used when the token has no readable `exp` claim
+     * @returns {number|null} Expiry as a millisecond timestamp
+     */
+    getTokenExpiry(accessToken, expiresIn) {
+        try {
+            const payload = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(atob(payload.padEnd(payload.length + (4 - payload.length % 4) % 4, '=')));
+            if (typeof claims.exp === 'number') {
+                return claims.exp * 1000;
+            }
+        } catch (error) {
+            // Not a decodable JWT - fall back to expiresIn
+        }
+
+        return expiresIn ? Date.now() + expiresIn * 1000 : null;
     }
 
     /**
-     * Setup periodic token refresh
+     * Setup token refresh ahead of expiry
      */
     setupTokenRefresh() {
-        setInterval(() => {
-            if (this.token && !this.isRefreshing) {
+        this.scheduleTokenRefresh();
+
+        // Timers don't fire while the device sleeps, so re-check when the tab wakes up
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
                 this.refreshTokenIfNeeded();
             }
-        }, CONFIG.SECURITY.TOKEN_REFRESH_INTERVAL);
+        });
+        window.addEventListener('online', () => this.refreshTokenIfNeeded());
+    }
+
+    /**
+     * Schedule a refresh shortly before the access token expires
+     * @param {number} minDelay - Wait at least this long, in milliseconds
+     */
+    scheduleTokenRefresh(minDelay = 0) {
+        clearTimeout(this.refreshTimer);
+        if (!this.refreshToken || !this.tokenExpiresAt) return;
+
+        // setTimeout overflows past ~24.8 days
+        const delay = Math.min(
+            Math.max(minDelay, this.tokenExpiresAt - Date.now() - CONFIG.SECURITY.TOKEN_REFRESH_MARGIN),
+            2147483647
+        );
+
+        this.refreshTimer = setTimeout(() => this.refreshTokenIfNeeded(), delay);
     }
 
     /**
      * Check if token needs refresh and refresh if needed
      */
     async refreshTokenIfNeeded() {
-        const tokenData = Utils.storage.get(CONFIG.SECURITY.TOKEN_STORAGE_KEY);
-        if (!tokenData) return;
+        this.syncTokensFromStorage();
+        if (!this.token || !this.tokenExpiresAt || this.isRefreshing) return;
 
-        const tokenAge = Date.now() - tokenData.timestamp;
-        const refreshThreshold = CONFIG.SECURITY.TOKEN_REFRESH_INTERVAL * 0.8; // 80% of refresh interval
+        if (this.tokenExpiresAt - Date.now() <= CONFIG.SECURITY.TOKEN_REFRESH_MARGIN) {
+            await this.requestTokenRefresh();
+        } else {
+            this.scheduleTokenRefresh();
+        }
+    }
 
-        if (tokenAge > refreshThreshold) {
+    /**
+     * Refresh in the leader tab, or ask the leader to do it and broadcast the result
+     */
+    async requestTokenRefresh() {
+        if (Sync.isLeader) {
             await this.refreshAccessToken();
+            return;
         }
+
+        if (this.refreshRequestTimer) return;
+
+        Sync.broadcast('refresh-request');
+
+        // Fall back to refreshing here if the leader never answers
+        this.refreshRequestTimer = setTimeout(() => {
+            this.refreshRequestTimer = null;
+            this.refreshAccessToken();
+        }, CONFIG.SYNC.REFRESH_REQUEST_TIMEOUT);
     }
 
     /**
@@ -87,31 +474,95 @@ class ApiClient {
         if (this.isRefreshing) return;
 
         this.isRefreshing = true;
+        const profileId = this.activeProfileId;
 
         try {
+            if (!this.refreshToken) {
+                throw new ApiError({ code: 'AUTH_FAILED', status: 401, endpoint: '/api/refresh' });
+            }
+
             const response = await this.makeRequest('/api/refresh', {
                 method: 'POST',
                 body: JSON.stringify({ refreshToken: this.refreshToken }),
                 headers: { 'Content-Type': 'application/json' }
             }, false); // Don't include auth header
+            this.refreshFailures = 0;
 
-            if (response.success) {
-                this.saveTokenToStorage(response.data.accessToken, response.data.refreshToken);
-                
-                // Process failed queue
-                this.processQueue(null, response.data.accessToken);
-            } else {
-                this.processQueue(new Error('Token refresh failed'), null);
-                this.clearTokenFromStorage();
+            // The tab switched account mid-refresh; the rotated tokens still belong to the old profile
+            if (profileId !== this.activeProfileId) {
+                this.updateProfileStore(store => {
+                    const profile = store.profiles.find(p => p.id === profileId);
+                    if (profile) {
+                        Object.assign(profile, {
+                            accessToken: response.data.accessToken,
+                            refreshToken: response.data.refreshToken,
+                            expiresAt: this.getTokenExpiry(response.data.accessToken, response.data.expiresIn)
+                                || Date.now() + CONFIG.SECURITY.TOKEN_REFRESH_INTERVAL
+                        });
+                    }
+                });
+                return;
             }
+
+            this.saveTokenToStorage(response.data.accessToken, response.data.refreshToken, response.data.expiresIn);
+            
+            // Replay requests that were waiting on the refresh
+            this.processQueue(null, response.data.accessToken);
         } catch (error) {
-            this.processQueue(error, null);
-            this.clearTokenFromStorage();
+            if (profileId !== this.activeProfileId) return;
+
+            // A rejected refresh token ends the session; network trouble doesn't
+            if (error.status === 400 || error.status === 401) {
+                const authError = new ApiError({
+                    code: 'AUTH_FAILED',
+                    status: error.status,
+                    endpoint: '/api/refresh',
+                    requestId: error.requestId
+                });
+                this.processQueue(authError, null);
+                // Tell tabs on this profile before leaving its sync scope
+                Sync.broadcast('logout');
+                this.clearTokenFromStorage();
+                document.dispatchEvent(new CustomEvent('session-expired', { detail: { error: authError } }));
+            } else {
+                this.processQueue(error, null);
+
+                // The token is already due, so rescheduling as usual would retry at once.
+                // Back off instead, and while offline wait for the online listener.
+                if (navigator.onLine) {
+                    this.scheduleTokenRefresh(this.getRetryDelay(this.refreshFailures));
+                }
+                this.refreshFailures++;
+            }
         } finally {
             this.isRefreshing = false;
         }
     }
 
+    /**
+     * Wait for a fresh access token after a 401, sharing a single refresh between concurrent requests
+     * @param {string|null} tokenUsed - Token the rejected request was sent with
+     * @returns {Promise<string>} Token to replay the request with
+     */
+    waitForTokenRefresh(tokenUsed) {
+        this.syncTokensFromStorage();
+
+        // Another request or tab already rotated the token - replay straight away
+        if (this.token && this.token !== tokenUsed) {
+            return Promise.resolve(this.token);
+        }
+
+        const queued = new Promise((resolve, reject) => {
+            this.failedQueue.push({ resolve, reject });
+        });
+
+        if (!this.isRefreshing) {
+            this.requestTokenRefresh();
+        }
+
+        return queued;
+    }
+
     /**
      * Process queued requests after token refresh
      * @param {Error|null} error - Error if refresh failed
@@ -149,13 +600,12 @@ class ApiClient {
     /**
      * Make HTTP request with automatic retry and token refresh
      * @param {string} endpoint - API endpoint
-     * @param {Object} options - Fetch options
+     * @param {Object} options - Fetch options (pass `signal` to make the request abortable)
      * @param {boolean} includeAuth - Whether to include auth header
+     * @param {boolean} isReplay - Whether this is the replay after a token refresh
      * @returns {Promise<Object>} Response data
      */
-    async makeRequest(endpoint, options = {}, includeAuth = true) {
-        const url = `${this.baseUrl}${endpoint}`;
-        
+    async makeRequest(endpoint, options = {}, includeAuth = true, isReplay = false) {
         const requestOptions = {
             ...options,
             headers: {
@@ -164,35 +614,133 @@ class ApiClient {
             }
         };
 
-        try {
-            const response = await fetch(url, requestOptions);
-            
-            // Handle token expiration
-            if (response.status === 401 && includeAuth && !this.isRefreshing) {
-                try {
-                    await this.refreshAccessToken();
-                    
-                    // Retry with new token
-                    requestOptions.headers['Authorization'] = `Bearer ${this.token}`;
-                    return await this.makeRequest(endpoint, options, includeAuth);
-                } catch (refreshError) {
-                    throw new Error('Authentication failed');
+        const tokenUsed = this.token;
+        const response = await this.fetchWithRetry(endpoint, requestOptions);
+        
+        // Handle token expiration - wait for the shared refresh, then replay once
+        if (response.status === 401 && includeAuth && !isReplay) {
+            await this.waitForTokenRefresh(tokenUsed);
+            return this.makeRequest(endpoint, options, includeAuth, true);
+        }
+
+        const data = await response.json().catch(() => null);
+
+        if (!response.ok || !data || data.success === false) {
+            throw ApiError.fromResponse(response, data, endpoint);
+        }
+
+        return data;
+    }
+
+    /**
+     * Fetch with exponential backoff for rate limits, gateway errors and network failures
+     * @param {string} endpoint - API endpoint
+     * @param {Object} requestOptions - Fetch options
+     * @returns {Promise<Response>} The first non-retryable response, or the last one once the budget is spent
+     */
+    async fetchWithRetry(endpoint, requestOptions) {
+        const url = `${this.baseUrl}${endpoint}`;
+        const budget = this.getRetryBudget(endpoint, requestOptions);
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+
+            try {
+                response = await fetch(url, requestOptions);
+            } catch (error) {
+                // fetch rejects with a TypeError when the network is unreachable
+                if (error.name !== 'TypeError') {
+                    throw error;
                 }
+                if (attempt >= budget) {
+                    throw ApiError.network(error, endpoint);
+                }
+                await this.waitBeforeRetry(endpoint, attempt, budget, null, requestOptions.signal);
+                continue;
             }
 
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            if (!CONFIG.RETRY.RETRYABLE_STATUS.includes(response.status) || attempt >= budget) {
+                return response;
             }
 
-            return data;
-        } catch (error) {
-            if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('Network error. Please check your connection.');
+            await this.waitBeforeRetry(endpoint, attempt, budget, response, requestOptions.signal);
+        }
+    }
+
+    /**
+     * Get the number of retries allowed for a request
+     * @param {string} endpoint - API endpoint
+     * @param {Object} requestOptions - Fetch options
+     * @returns {number} Maximum retries; 0 for writes that could be applied twice
+     */
+    getRetryBudget(endpoint, requestOptions = {}) {
+        const method = (requestOptions.method || 'GET').toUpperCase();
+        if (!CONFIG.RETRY.IDEMPOTENT_METHODS.includes(method) && !requestOptions.headers?.['Idempotency-Key']) {
+            return 0;
+        }
+
+        const path = endpoint.split('?')[0];
+        const rule = CONFIG.RETRY.BUDGETS.find(({ pattern }) => pattern.test(path));
+        return rule ? rule.retries : 0;
+    }
+
+    /**
+     * Compute the delay before the next attempt
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @param {string|null} retryAfter - Retry-After header value, in seconds or as an HTTP date
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt, retryAfter) {
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds)
+                ? new Date(retryAfter).getTime() - Date.now()
+                : seconds * 1000;
+
+            if (!Number.isNaN(delay)) {
+                return Math.max(0, delay);
             }
-            throw error;
         }
+
+        // Exponential backoff with jitter so tabs and clients don't retry in lockstep
+        const ceiling = Math.min(CONFIG.RETRY.MAX_DELAY, CONFIG.RETRY.BASE_DELAY * 2 ** attempt);
+        return ceiling / 2 + Math.random() * ceiling / 2;
+    }
+
+    /**
+     * Announce an upcoming retry and wait for it
+     * @param {string} endpoint - API endpoint
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @param {number} budget - Maximum retries for the endpoint
+     * @param {Response|null} response - Failed response, or null for a network error
+     * @param {AbortSignal} signal - Signal that cancels the wait
+     */
+    waitBeforeRetry(endpoint, attempt, budget, response, signal) {
+        const delay = this.getRetryDelay(attempt, response?.headers.get('Retry-After'));
+
+        document.dispatchEvent(new CustomEvent('api-retry', {
+            detail: {
+                endpoint,
+                status: response ? response.status : null,
+                attempt: attempt + 1,
+                maxRetries: budget,
+                delay,
+                retryAt: Date.now() + delay
+            }
+        }));
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Request aborted', 'AbortError'));
+                return;
+            }
+
+            const timer = setTimeout(resolve, delay);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request aborted', 'AbortError'));
+            }, { once: true });
+        });
     }
 
     /**
@@ -209,7 +757,22 @@ class ApiClient {
             }, false);
 
             if (response.success) {
-                this.saveTokenToStorage(response.data.accessToken, response.data.refreshToken);
+                const user = response.data.user;
+
+                // Signing in again to a stored account refreshes that profile instead of adding a twin
+                const existing = user && this.getProfiles().find(profile =>
+                    profile.baseUrl === this.baseUrl && profile.user?.id === user.id);
+                if (existing) {
+                    this.activeProfileId = existing.id;
+                    Sync.setScope(existing.id);
+                }
+
+                this.saveTokenToStorage(response.data.accessToken, response.data.refreshToken, response.data.expiresIn);
+                this.updateActiveProfile({ user });
+                this.updateProfileStore(store => {
+                    store.lastActiveId = this.activeProfileId;
+                });
+                Sync.broadcast('profiles-changed', {}, { global: true });
             }
 
             return response;
@@ -232,17 +795,20 @@ class ApiClient {
         } catch (error) {
             console.warn('Logout request failed:', error);
         } finally {
+            Sync.broadcast('logout');
             this.clearTokenFromStorage();
         }
     }
 
     /**
      * Get all chat sessions
+     * @param {Object} options - `view` of 'archived' or 'trash' lists those chats instead of the active ones
      * @returns {Promise<Array>} Array of chat sessions
      */
-    async getChats() {
+    async getChats({ view = null } = {}) {
         try {
-            const response = await this.makeRequest(CONFIG.ENDPOINTS.CHATS);
+            const query = view ? `?${new URLSearchParams({ view })}` : '';
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}${query}`);
             return response.data || [];
         } catch (error) {
             console.error('Failed to fetch chats:', error);
@@ -253,13 +819,14 @@ class ApiClient {
     /**
      * Create a new chat session
      * @param {string} title - Chat title
+     * @param {Object} options - `personaId` to start the chat with a persona
      * @returns {Promise<Object>} Created chat session
      */
-    async createChat(title = 'New Chat') {
+    async createChat(title = CONFIG.CHAT.DEFAULT_TITLE, { personaId = null } = {}) {
         try {
             const response = await this.makeRequest(CONFIG.ENDPOINTS.CHATS, {
                 method: 'POST',
-                body: JSON.stringify({ title })
+                body: JSON.stringify(personaId ? { title, personaId } : { title })
             });
             return response.data;
         } catch (error) {
@@ -268,6 +835,24 @@ class ApiClient {
         }
     }
 
+    /**
+     * Create a chat from an exported conversation, keeping its messages, titles and timestamps
+     * @param {Object} chat - `source`, `title`, `createdAt`, `updatedAt`, `messages` and optional chat fields
+     * @returns {Promise<Object>} Created chat, with messages
+     */
+    async importChat(chat) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/import`, {
+                method: 'POST',
+                body: JSON.stringify(chat)
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to import chat:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get specific chat with messages
      * @param {string} chatId - Chat ID
@@ -292,13 +877,20 @@ class ApiClient {
      * Send message to chat
      * @param {string} chatId - Chat ID
      * @param {string} message - Message content
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @param {string} options.idempotencyKey - Client message id; resending with the same key never duplicates the message
+     * @param {string|null} options.parentId - Message to continue from; defaults to the end of the selected branch
+     * @param {Array} options.attachments - Files sent with the message
      * @returns {Promise<Object>} Response with AI reply
      */
-    async sendMessage(chatId, message) {
+    async sendMessage(chatId, message, { signal, idempotencyKey, parentId, attachments } = {}) {
         try {
             const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}/messages`, {
                 method: 'POST',
-                body: JSON.stringify({ message })
+                body: JSON.stringify({ message, clientId: idempotencyKey, parentId, attachments }),
+                headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+                signal
             });
             return response.data;
         } catch (error) {
@@ -308,47 +900,267 @@ class ApiClient {
     }
 
     /**
-     * Delete a chat session
+     * Send message to chat and stream the AI reply as it is generated
      * @param {string} chatId - Chat ID
-     * @returns {Promise<Object>} Deletion response
+     * @param {string} message - Message content
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request and the stream
+     * @param {string} options.idempotencyKey - Client message id; resending with the same key never duplicates the message
+     * @param {string|null} options.parentId - Message to continue from; defaults to the end of the selected branch
+     * @param {Array} options.attachments - Files sent with the message
+     * @yields {Object} `{ type: 'delta', content }` events, then `{ type: 'done', reply, chat }`
      */
-    async deleteChat(chatId) {
+    async *streamMessage(chatId, message, { signal, idempotencyKey, parentId, attachments } = {}) {
         try {
-            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}`, {
-                method: 'DELETE'
+            const endpoint = `${CONFIG.ENDPOINTS.CHATS}/${chatId}/messages`;
+            const response = await this.makeStreamRequest(endpoint, {
+                method: 'POST',
+                body: JSON.stringify({ message, clientId: idempotencyKey, parentId, attachments, stream: true }),
+                headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+                signal
             });
-            return response;
+
+            yield* this.readReplyStream(response, endpoint);
         } catch (error) {
-            console.error('Failed to delete chat:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Failed to stream message:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * Clear all messages in a chat
+     * Generate another reply to an existing user message, streamed like a normal reply
      * @param {string} chatId - Chat ID
-     * @returns {Promise<Object>} Clear response
+     * @param {string} messageId - ID of the user message to answer again
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request and the stream
+     * @yields {Object} `{ type: 'delta', content }` events, then `{ type: 'done', reply, chat }`
      */
-    async clearChat(chatId) {
+    async *streamRegeneration(chatId, messageId, { signal } = {}) {
         try {
-            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}/clear`, {
-                method: 'POST'
+            const endpoint = `${CONFIG.ENDPOINTS.CHATS}/${chatId}/messages/${messageId}/regenerate`;
+            const response = await this.makeStreamRequest(endpoint, {
+                method: 'POST',
+                body: JSON.stringify({ stream: true }),
+                signal
             });
-            return response;
+
+            yield* this.readReplyStream(response, endpoint);
         } catch (error) {
-            console.error('Failed to clear chat:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Failed to regenerate reply:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * Update chat title
-     * @param {string} chatId - Chat ID
-     * @param {string} title - New title
-     * @returns {Promise<Object>} Update response
+     * Read reply events from a streaming response, or from a JSON one on backends without streaming
+     * @param {Response} response - Response from makeStreamRequest
+     * @param {string} endpoint - API endpoint, for errors
+     * @yields {Object} `{ type: 'delta', content }` events, then `{ type: 'done', ... }`
      */
-    async updateChatTitle(chatId, title) {
-        try {
+    async *readReplyStream(response, endpoint) {
+        // Backends without streaming support answer with the regular JSON envelope
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('text/event-stream')) {
+            const data = await response.json().catch(() => null);
+            if (!data || !data.success) {
+                throw ApiError.fromResponse(response, data, endpoint);
+            }
+            yield { type: 'delta', content: data.data.reply || '' };
+            yield { type: 'done', ...data.data };
+            return;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+                // Events are separated by a blank line
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const event = this.parseServerSentEvent(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+
+                    if (!event) continue;
+                    if (event.type === 'error') {
+                        throw new ApiError({
+                            code: event.data.code || 'AI_SERVICE_ERROR',
+                            status: response.status,
+                            endpoint,
+                            retryable: true,
+                            requestId: response.headers.get('X-Request-Id'),
+                            message: event.data.error
+                        });
+                    }
+
+                    yield { type: event.type, ...event.data };
+                    if (event.type === 'done') return;
+                }
+            }
+
+            // The connection closed without a done event
+            throw new ApiError({
+                code: 'STREAM_INTERRUPTED',
+                status: response.status,
+                endpoint,
+                retryable: true,
+                requestId: response.headers.get('X-Request-Id')
+            });
+        } finally {
+            // Releasing the lock alone leaves the body downloading after an early exit
+            await reader.cancel().catch(() => {});
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * Open a request whose response body is consumed as a stream
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options
+     * @param {boolean} isReplay - Whether this is the replay after a token refresh
+     * @returns {Promise<Response>} Fetch response with an unread body
+     */
+    async makeStreamRequest(endpoint, options = {}, isReplay = false) {
+        const requestOptions = {
+            ...options,
+            headers: {
+                ...this.getHeaders(),
+                'Accept': 'text/event-stream',
+                ...options.headers
+            }
+        };
+
+        const tokenUsed = this.token;
+        const response = await this.fetchWithRetry(endpoint, requestOptions);
+
+        // Handle token expiration - wait for the shared refresh, then replay once
+        if (response.status === 401 && !isReplay) {
+            await this.waitForTokenRefresh(tokenUsed);
+            return this.makeStreamRequest(endpoint, options, true);
+        }
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => null);
+            throw ApiError.fromResponse(response, data, endpoint);
+        }
+
+        return response;
+    }
+
+    /**
+     * Parse a single server-sent event block
+     * @param {string} rawEvent - Event lines without the trailing blank line
+     * @returns {Object|null} Event with `type` and parsed `data`, or null for comments/keep-alives
+     */
+    parseServerSentEvent(rawEvent) {
+        let type = 'message';
+        const dataLines = [];
+
+        rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+        });
+
+        if (dataLines.length === 0) return null;
+
+        try {
+            return { type, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            console.warn('Ignoring malformed stream event:', rawEvent);
+            return null;
+        }
+    }
+
+    /**
+     * Move a chat session to the trash, or purge it from the trash
+     * @param {string} chatId - Chat ID
+     * @param {Object} options - `permanent` purges a chat that is already in the trash
+     * @returns {Promise<Object>} Deletion response
+     */
+    async deleteChat(chatId, { permanent = false } = {}) {
+        try {
+            const query = permanent ? '?permanent=true' : '';
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}${query}`, {
+                method: 'DELETE'
+            });
+            return response;
+        } catch (error) {
+            console.error('Failed to delete chat:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear all messages in a chat; the server keeps them in the trash
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Object>} Clear response, with the `trashedChatId` holding the messages
+     */
+    async clearChat(chatId) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}/clear`, {
+                method: 'POST'
+            });
+            return response;
+        } catch (error) {
+            console.error('Failed to clear chat:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a chat from the trash; cleared messages go back into the chat they came from
+     * @param {string} chatId - ID of the trashed chat
+     * @returns {Promise<Object>} Restored chat
+     */
+    async restoreChat(chatId) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}/restore`, {
+                method: 'POST'
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to restore chat:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Purge every chat in the trash
+     * @returns {Promise<Object>} Deletion response
+     */
+    async emptyTrash() {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/trash`, {
+                method: 'DELETE'
+            });
+            return response;
+        } catch (error) {
+            console.error('Failed to empty trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update chat title
+     * @param {string} chatId - Chat ID
+     * @param {string} title - New title
+     * @returns {Promise<Object>} Update response
+     */
+    async updateChatTitle(chatId, title) {
+        try {
             const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}`, {
                 method: 'PATCH',
                 body: JSON.stringify({ title })
@@ -360,6 +1172,287 @@ class ApiClient {
         }
     }
 
+    /**
+     * Update how a chat is organized in the sidebar
+     * @param {string} chatId - Chat ID
+     * @param {Object} changes - Any of `pinned`, `folder`, `tags` and `archived`
+     * @returns {Promise<Object>} Updated chat
+     */
+    async updateChatOrganization(chatId, changes) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}`, {
+                method: 'PATCH',
+                body: JSON.stringify(changes)
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to update chat organization:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask the model for a short title summarizing a chat's first exchange
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<string>} Suggested title, not yet saved
+     */
+    async generateChatTitle(chatId) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}/title`, {
+                method: 'POST'
+            });
+            return response.data?.title || '';
+        } catch (error) {
+            console.error('Failed to generate chat title:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update the model and generation settings of a chat
+     * @param {string} chatId - Chat ID
+     * @param {Object} settings - `model`, `temperature`, `maxTokens` and `topP`
+     * @returns {Promise<Object>} Updated chat
+     */
+    async updateChatSettings(chatId, settings) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ settings })
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to update chat settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Select which branch of a chat is shown and used as context
+     * @param {string} chatId - Chat ID
+     * @param {string} leafId - Last message of the branch
+     * @returns {Promise<Object>} Updated chat
+     */
+    async selectBranch(chatId, leafId) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ currentLeafId: leafId })
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to select branch:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Search message content across all of the user's chats
+     * @param {string} query - Search text
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the search
+     * @param {number} options.limit - Maximum number of results
+     * @returns {Promise<Object>} `{ results, total }`
+     */
+    async searchMessages(query, { signal, limit = CONFIG.SEARCH.RESULT_LIMIT } = {}) {
+        try {
+            const params = new URLSearchParams({ q: query, limit: String(limit) });
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.SEARCH}?${params}`, { signal });
+            return response.data;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Failed to search messages:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Freeze a snapshot of a chat behind a read-only link
+     * @param {string} chatId - Chat ID
+     * @param {Object} options - `leafId` of the branch to share, `protected` to require an access key
+     * @returns {Promise<Object>} Created share
+     */
+    async createShare(chatId, { leafId = null, protected: isProtected = false } = {}) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.CHATS}/${chatId}/shares`, {
+                method: 'POST',
+                body: JSON.stringify({ leafId, protected: isProtected })
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to share chat:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the user's share links
+     * @returns {Promise<Array>} Shares, newest first
+     */
+    async getShares() {
+        try {
+            const response = await this.makeRequest(CONFIG.ENDPOINTS.SHARES);
+            return response.data;
+        } catch (error) {
+            console.error('Failed to fetch shares:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a share link
+     * @param {string} shareId - Share ID
+     * @returns {Promise<Object>} Deletion response
+     */
+    async deleteShare(shareId) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.SHARES}/${shareId}`, {
+                method: 'DELETE'
+            });
+            return response;
+        } catch (error) {
+            console.error('Failed to revoke share:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the user's personas
+     * @returns {Promise<Array>} Personas
+     */
+    async getPersonas() {
+        try {
+            const response = await this.makeRequest(CONFIG.ENDPOINTS.PERSONAS);
+            return response.data || [];
+        } catch (error) {
+            console.error('Failed to get personas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a persona
+     * @param {Object} persona - `name`, `icon`, `systemPrompt` and `settings`
+     * @returns {Promise<Object>} Created persona
+     */
+    async createPersona(persona) {
+        try {
+            const response = await this.makeRequest(CONFIG.ENDPOINTS.PERSONAS, {
+                method: 'POST',
+                body: JSON.stringify(persona)
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to create persona:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a persona
+     * @param {string} personaId - Persona ID
+     * @param {Object} persona - Changed persona fields
+     * @returns {Promise<Object>} Updated persona
+     */
+    async updatePersona(personaId, persona) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.PERSONAS}/${personaId}`, {
+                method: 'PATCH',
+                body: JSON.stringify(persona)
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to update persona:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a persona
+     * @param {string} personaId - Persona ID
+     * @returns {Promise<Object>} Delete response
+     */
+    async deletePersona(personaId) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.PERSONAS}/${personaId}`, {
+                method: 'DELETE'
+            });
+            return response;
+        } catch (error) {
+            console.error('Failed to delete persona:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the user's prompt templates
+     * @returns {Promise<Array>} Templates
+     */
+    async getTemplates() {
+        try {
+            const response = await this.makeRequest(CONFIG.ENDPOINTS.TEMPLATES);
+            return response.data || [];
+        } catch (error) {
+            console.error('Failed to get templates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a prompt template
+     * @param {Object} template - `name` and `content`
+     * @returns {Promise<Object>} Created template
+     */
+    async createTemplate(template) {
+        try {
+            const response = await this.makeRequest(CONFIG.ENDPOINTS.TEMPLATES, {
+                method: 'POST',
+                body: JSON.stringify(template)
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to create template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a prompt template
+     * @param {string} templateId - Template ID
+     * @param {Object} template - Changed template fields
+     * @returns {Promise<Object>} Updated template
+     */
+    async updateTemplate(templateId, template) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.TEMPLATES}/${templateId}`, {
+                method: 'PATCH',
+                body: JSON.stringify(template)
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Failed to update template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a prompt template
+     * @param {string} templateId - Template ID
+     * @returns {Promise<Object>} Delete response
+     */
+    async deleteTemplate(templateId) {
+        try {
+            const response = await this.makeRequest(`${CONFIG.ENDPOINTS.TEMPLATES}/${templateId}`, {
+                method: 'DELETE'
+            });
+            return response;
+        } catch (error) {
+            console.error('Failed to delete template:', error);
+            throw error;
+        }
+    }
+
     /**
      * Check API health
      * @returns {Promise<Object>} Health status
@@ -399,6 +1492,9 @@ class ApiClient {
     async getCurrentUser() {
         try {
             const response = await this.makeRequest('/api/me');
+            if (response.success) {
+                this.updateActiveProfile({ user: response.data });
+            }
             return response;
         } catch (error) {
             console.error('Failed to fetch current user:', error);
@@ -488,4 +1584,5 @@ class ApiClient {
 }
 
 // Create global API instance
-window.API = new ApiClient();
\ No newline at end of file
+window.API = new ApiClient();
+window.ApiError = ApiError;
\ No newline at end of file
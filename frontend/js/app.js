@@ -77,6 +77,8 @@ class NebulaApp {
 
         // Setup mobile menu toggle if needed
         this.setupMobileMenu();
+
+        this.registerCommands();
         
         // Setup periodic health checks
         this.setupHealthChecks();
@@ -155,7 +157,7 @@ class NebulaApp {
                 switch (event.key) {
                     case 'k':
                         event.preventDefault();
-                        this.focusSearch();
+                        this.openCommandPalette();
                         break;
                     case ',':
                         event.preventDefault();
@@ -196,17 +198,24 @@ class NebulaApp {
      * Setup periodic health checks
      */
     setupHealthChecks() {
-        // Check API health every 5 minutes
+        // Check API health every 5 minutes - only the leader tab polls
         setInterval(async () => {
+            if (!Sync.isLeader) return;
+
             try {
                 await API.checkHealth();
             } catch (error) {
                 console.warn('⚕️ Health check failed:', error);
-                if (error.message.includes('Network')) {
+                if (error.code === 'NETWORK_ERROR') {
                     UI.showToast('Connection issue detected', 'warning');
+                    Sync.broadcast('connection-issue');
                 }
             }
         }, 5 * 60 * 1000);
+
+        Sync.on('connection-issue', () => {
+            UI.showToast('Connection issue detected', 'warning');
+        });
     }
 
     /**
@@ -286,13 +295,18 @@ class NebulaApp {
      */
     handleOnline() {
         UI.showToast('Connection restored', 'success');
+
+        // Send messages written while offline
+        if (Chat && typeof Chat.flushOutbox === 'function') {
+            Chat.flushOutbox();
+        }
     }
 
     /**
      * Handle offline event
      */
     handleOffline() {
-        UI.showToast('You are offline. Some features may not work.', 'warning');
+        UI.showToast('You are offline. New messages will be sent when you reconnect.', 'warning');
     }
 
     /**
@@ -338,21 +352,49 @@ class NebulaApp {
     }
 
     /**
-     * Focus search functionality
+     * Open the command palette, or close it if it is already open
      */
-    focusSearch() {
-        // Focus the message input if available
-        const messageInput = document.getElementById('message-input');
-        if (messageInput && !messageInput.disabled) {
-            messageInput.focus();
-        }
+    openCommandPalette() {
+        Palette.toggle();
     }
 
     /**
-     * Open settings (placeholder)
+     * Open the command palette on its settings
      */
     openSettings() {
-        UI.showToast('Settings panel coming soon!', 'info');
+        Palette.open({ section: 'Settings' });
+    }
+
+    /**
+     * Add the app-wide commands to the command palette
+     */
+    registerCommands() {
+        Palette.register({
+            id: 'logout',
+            title: 'Log Out',
+            section: 'Actions',
+            icon: 'fa-sign-out-alt',
+            keywords: 'sign out exit',
+            run: () => this.handleLogout()
+        });
+
+        Palette.register({
+            id: 'keyboard-shortcuts',
+            title: 'Keyboard Shortcuts',
+            section: 'Settings',
+            icon: 'fa-keyboard',
+            shortcut: 'Ctrl+/',
+            run: () => this.showKeyboardShortcuts()
+        });
+
+        Palette.register({
+            id: 'help',
+            title: 'Help',
+            section: 'Settings',
+            icon: 'fa-question-circle',
+            shortcut: 'F1',
+            run: () => this.showHelp()
+        });
     }
 
     /**
@@ -362,7 +404,8 @@ class NebulaApp {
         const shortcuts = [
             { key: 'Ctrl/Cmd + Enter', action: 'Send message' },
             { key: 'Ctrl/Cmd + N', action: 'New chat' },
-            { key: 'Ctrl/Cmd + K', action: 'Focus input' },
+            { key: 'Ctrl/Cmd + K', action: 'Command palette' },
+            { key: 'Ctrl/Cmd + ,', action: 'Settings' },
             { key: 'Ctrl/Cmd + /', action: 'Show shortcuts' },
             { key: 'Escape', action: 'Close modals' },
             { key: 'F1', action: 'Help' }
@@ -426,6 +469,7 @@ class NebulaApp {
                 <li>Your conversations are automatically saved</li>
                 <li>Click on a chat in the sidebar to switch</li>
                 <li>Use the action buttons to manage chats</li>
+                <li>Press Ctrl/Cmd+K to jump to any chat, action or setting</li>
             </ul>
         `;
 
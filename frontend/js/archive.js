@@ -0,0 +1,279 @@
+/**
+ * Archive and Trash Module for Nebula Chat
+ * Hides chats in the archive, and lists archived and trashed chats for restoring or purging
+ */
+
+class ArchiveManager {
+    constructor() {
+        this.init();
+    }
+
+    /**
+     * Initialize archive manager
+     */
+    init() {
+        this.archiveChatBtn = document.getElementById('archive-chat-btn');
+
+        if (this.archiveChatBtn) {
+            this.archiveChatBtn.addEventListener('click', () => this.archiveChat(Chat.currentChatId));
+        }
+
+        this.registerCommands();
+    }
+
+    /**
+     * Add archive and trash commands to the command palette
+     */
+    registerCommands() {
+        Palette.register({
+            id: 'archive-chat',
+            title: 'Archive Chat',
+            section: 'Actions',
+            icon: 'fa-archive',
+            keywords: 'hide',
+            when: () => Boolean(Chat.currentChatId),
+            run: () => this.archiveChat(Chat.currentChatId)
+        });
+
+        Palette.register({
+            id: 'open-archive',
+            title: 'Open Archive',
+            section: 'Actions',
+            icon: 'fa-box-open',
+            keywords: 'archived unarchive',
+            run: () => this.openArchive()
+        });
+
+        Palette.register({
+            id: 'open-trash',
+            title: 'Open Trash',
+            section: 'Actions',
+            icon: 'fa-trash-restore',
+            keywords: 'deleted restore undelete',
+            run: () => this.openTrash()
+        });
+    }
+
+    /**
+     * Hide a chat from the list without deleting it
+     * @param {string} chatId - Chat ID
+     */
+    async archiveChat(chatId) {
+        if (!chatId) return;
+
+        try {
+            const savedId = await Chat.resolveChatId(chatId);
+            await API.updateChatOrganization(savedId, { archived: true });
+
+            await Chat.removeChatFromList(savedId);
+            UI.showToast('Chat archived', 'success', CONFIG.TRASH.UNDO_DURATION, {
+                label: 'Undo',
+                run: () => this.unarchiveChat(savedId)
+            });
+        } catch (error) {
+            console.error('Failed to archive chat:', error);
+            UI.showToast(`Failed to archive chat: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Bring an archived chat back to the list
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<boolean>} Whether the chat was restored
+     */
+    async unarchiveChat(chatId) {
+        try {
+            const chat = await API.updateChatOrganization(chatId, { archived: false });
+            Chat.addRestoredChat(chat);
+            UI.showToast('Chat restored', 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to unarchive chat:', error);
+            UI.showToast(`Failed to restore chat: ${ApiError.getUserMessage(error)}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Restore a deleted chat, or cleared messages, from the trash
+     * @param {string} chatId - ID of the trashed chat
+     * @returns {Promise<boolean>} Whether the chat was restored
+     */
+    async restoreChat(chatId) {
+        try {
+            const chat = await API.restoreChat(chatId);
+            Chat.addRestoredChat(chat);
+            UI.showToast('Chat restored', 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to restore chat:', error);
+            UI.showToast(`Failed to restore chat: ${ApiError.getUserMessage(error)}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Move an archived chat to the trash
+     * @param {string} chatId - Chat ID
+     */
+    async trashChat(chatId) {
+        try {
+            await API.deleteChat(chatId);
+            UI.showToast('Chat moved to trash', 'success');
+        } catch (error) {
+            console.error('Failed to delete chat:', error);
+            UI.showToast(`Failed to delete chat: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Delete a trashed chat for good after confirmation
+     * @param {Object} chat - Trashed chat
+     */
+    async purgeChat(chat) {
+        const confirmed = await UI.confirm(
+            `Permanently delete "${chat.title}"? This action cannot be undone.`,
+            'Delete Permanently'
+        );
+        if (!confirmed) return;
+
+        try {
+            await API.deleteChat(chat.id, { permanent: true });
+            UI.showToast('Chat deleted permanently', 'success');
+        } catch (error) {
+            console.error('Failed to purge chat:', error);
+            UI.showToast(`Failed to delete chat: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Delete everything in the trash after confirmation
+     */
+    async emptyTrash() {
+        const confirmed = await UI.confirm(
+            'Permanently delete every chat in the trash? This action cannot be undone.',
+            'Empty Trash'
+        );
+        if (!confirmed) return;
+
+        try {
+            await API.emptyTrash();
+            UI.showToast('Trash emptied', 'success');
+        } catch (error) {
+            console.error('Failed to empty trash:', error);
+            UI.showToast(`Failed to empty trash: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Load the chats of the archive or trash view
+     * @param {string} view - 'archived' or 'trash'
+     * @returns {Promise<Array|null>} Chats, or null if they could not be loaded
+     */
+    async loadView(view) {
+        try {
+            return await API.getChats({ view });
+        } catch (error) {
+            UI.showToast(`Failed to load chats: ${ApiError.getUserMessage(error)}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Show archived chats with restore and delete actions
+     */
+    async openArchive() {
+        const chats = await this.loadView('archived');
+        if (!chats) return;
+
+        const rows = chats.length === 0
+            ? '<p class="list-dialog-empty">No archived chats. Archive a chat to hide it from the list without deleting it.</p>'
+            : chats.map(chat => this.renderRow(chat, `Archived ${Utils.formatDate(chat.archivedAt || chat.updatedAt)}`, [
+                { action: 'unarchive', icon: 'fa-box-open', title: 'Restore to chat list' },
+                { action: 'trash', icon: 'fa-trash', title: 'Move to trash' }
+            ])).join('');
+
+        const choice = await UI.listDialog('Archive', rows);
+        if (!choice) return;
+
+        // The list comes back once the action is done, showing its result
+        if (choice.action === 'unarchive') {
+            await this.unarchiveChat(choice.id);
+        } else if (choice.action === 'trash') {
+            await this.trashChat(choice.id);
+        }
+        this.openArchive();
+    }
+
+    /**
+     * Show trashed chats with restore and purge actions
+     */
+    async openTrash() {
+        const chats = await this.loadView('trash');
+        if (!chats) return;
+
+        const rows = chats.length === 0
+            ? `<p class="list-dialog-empty">The trash is empty. Deleted chats and cleared messages stay here for ${CONFIG.TRASH.RETENTION_DAYS} days.</p>`
+            : chats.map(chat => this.renderRow(chat, this.describeTrashed(chat), [
+                { action: 'restore', icon: 'fa-undo', title: 'Restore' },
+                { action: 'purge', icon: 'fa-times', title: 'Delete permanently' }
+            ])).join('');
+
+        const choice = await UI.listDialog('Trash', rows, chats.length > 0 ? 'Empty Trash' : null);
+        if (!choice) return;
+
+        const chat = chats.find(candidate => candidate.id === choice.id);
+        if (choice.action === 'restore' && chat) {
+            await this.restoreChat(chat.id);
+        } else if (choice.action === 'purge' && chat) {
+            await this.purgeChat(chat);
+        } else if (choice.action === 'create') {
+            await this.emptyTrash();
+        }
+        this.openTrash();
+    }
+
+    /**
+     * Describe when a trashed chat was deleted and when it will be purged
+     * @param {Object} chat - Trashed chat
+     * @returns {string} Description
+     */
+    describeTrashed(chat) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const purgeAt = chat.purgeAt
+            ? new Date(chat.purgeAt)
+            : new Date(new Date(chat.deletedAt).getTime() + CONFIG.TRASH.RETENTION_DAYS * dayMs);
+        const daysLeft = Math.max(Math.ceil((purgeAt - Date.now()) / dayMs), 0);
+        const what = chat.clearedFromId ? 'Cleared' : 'Deleted';
+
+        return `${what} ${Utils.formatDate(chat.deletedAt)} · deleted for good in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Render one row of the archive or trash list
+     * @param {Object} chat - Chat
+     * @param {string} meta - Secondary line
+     * @param {Array<Object>} actions - `{ action, icon, title }` buttons
+     * @returns {string} Row HTML
+     */
+    renderRow(chat, meta, actions) {
+        return `
+            <div class="list-dialog-row">
+                <div class="list-dialog-details">
+                    <div class="list-dialog-name">${Utils.escapeHtml(chat.title)}</div>
+                    <div class="list-dialog-meta">${Utils.escapeHtml(meta)}</div>
+                </div>
+                ${actions.map(({ action, icon, title }) => `
+                    <button class="action-btn" data-action="${action}" data-id="${Utils.escapeHtml(chat.id)}" title="${title}">
+                        <i class="fas ${icon}"></i>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+}
+
+// Initialize archive manager
+document.addEventListener('DOMContentLoaded', () => {
+    window.Archive = new ArchiveManager();
+});
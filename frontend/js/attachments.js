@@ -0,0 +1,446 @@
+/**
+ * Attachments Module for Nebula Chat
+ * Collects text files and images dropped on, pasted into or picked in the composer,
+ * and renders them as file cards and thumbnails in the transcript
+ */
+
+class AttachmentManager {
+    constructor() {
+        this.pending = [];
+        this.attachButton = null;
+        this.fileInput = null;
+        this.chipList = null;
+        this.dropZone = null;
+        this.messagesContainer = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize attachment manager
+     */
+    init() {
+        this.bindElements();
+        this.bindEvents();
+    }
+
+    /**
+     * Bind DOM elements
+     */
+    bindElements() {
+        this.attachButton = document.getElementById('attach-btn');
+        this.fileInput = document.getElementById('attach-input');
+        this.chipList = document.getElementById('attachment-chips');
+        this.dropZone = document.querySelector('.main-content');
+        this.messagesContainer = document.getElementById('messages');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        if (this.attachButton && this.fileInput) {
+            this.attachButton.addEventListener('click', () => this.fileInput.click());
+            this.fileInput.addEventListener('change', async () => {
+                await this.addFiles(this.fileInput.files);
+                // Allow picking the same file again after removing it
+                this.fileInput.value = '';
+            });
+        }
+
+        if (this.dropZone) {
+            this.dropZone.addEventListener('dragover', this.handleDragOver.bind(this));
+            this.dropZone.addEventListener('dragleave', this.handleDragLeave.bind(this));
+            this.dropZone.addEventListener('drop', this.handleDrop.bind(this));
+        }
+
+        if (this.chipList) {
+            this.chipList.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-remove-index]');
+                if (button) {
+                    this.pending.splice(Number(button.dataset.removeIndex), 1);
+                    this.renderChips();
+                }
+            });
+        }
+
+        // Open image thumbnails full size
+        if (this.messagesContainer) {
+            this.messagesContainer.addEventListener('click', (event) => {
+                const thumbnail = event.target.closest('.image-thumb');
+                if (thumbnail) {
+                    this.openLightbox(thumbnail.querySelector('img'));
+                }
+            });
+        }
+
+        // Files picked for one account should not be sent from another
+        document.addEventListener('profile-switched', this.clear.bind(this));
+    }
+
+    /**
+     * Highlight the chat area while files are dragged over it
+     * @param {DragEvent} event - Dragover event
+     */
+    handleDragOver(event) {
+        if (!event.dataTransfer?.types.includes('Files') || Chat.messageInput?.disabled) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        this.dropZone.classList.add('drag-active');
+    }
+
+    /**
+     * Remove the highlight once the drag leaves the chat area
+     * @param {DragEvent} event - Dragleave event
+     */
+    handleDragLeave(event) {
+        if (!this.dropZone.contains(event.relatedTarget)) {
+            this.dropZone.classList.remove('drag-active');
+        }
+    }
+
+    /**
+     * Attach files dropped on the chat area
+     * @param {DragEvent} event - Drop event
+     */
+    async handleDrop(event) {
+        this.dropZone.classList.remove('drag-active');
+        if (!event.dataTransfer?.files.length || Chat.messageInput?.disabled) return;
+
+        event.preventDefault();
+        await this.addFiles(event.dataTransfer.files);
+    }
+
+    /**
+     * Check whether a file can be read as text
+     * @param {File} file - File to check
+     * @returns {boolean} Whether the file is text-like
+     */
+    isTextFile(file) {
+        const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+        return file.type.startsWith('text/')
+            || CONFIG.ATTACHMENTS.TEXT_MIME_TYPES.includes(file.type)
+            || CONFIG.ATTACHMENTS.TEXT_EXTENSIONS.includes(extension);
+    }
+
+    /**
+     * Check whether a file is an image the browser can downscale
+     * @param {File} file - File to check
+     * @returns {boolean} Whether the file is a supported image
+     */
+    isImageFile(file) {
+        return CONFIG.ATTACHMENTS.IMAGE_MIME_TYPES.includes(file.type);
+    }
+
+    /**
+     * Check whether the current chat's model accepts images
+     * @returns {boolean} Whether images can be sent
+     */
+    canSendImages() {
+        return CONFIG.MODELS.VISION.includes(Chat.getChatSettings(Chat.getCurrentChat()).model);
+    }
+
+    /**
+     * Read files into pending attachments, skipping any that break the limits
+     * @param {FileList|Array<File>} files - Files to attach
+     */
+    async addFiles(files) {
+        for (const file of Array.from(files)) {
+            if (this.isImageFile(file)) {
+                await this.addImage(file);
+                continue;
+            }
+
+            if (!this.isTextFile(file)) {
+                UI.showToast(`${file.name} is not a text file or image`, 'warning');
+                continue;
+            }
+
+            if (this.getFiles().length >= CONFIG.ATTACHMENTS.MAX_FILES) {
+                UI.showToast(`You can attach up to ${CONFIG.ATTACHMENTS.MAX_FILES} files per message`, 'warning');
+                break;
+            }
+
+            if (file.size > CONFIG.ATTACHMENTS.MAX_FILE_SIZE) {
+                UI.showToast(`${file.name} is larger than ${Utils.formatFileSize(CONFIG.ATTACHMENTS.MAX_FILE_SIZE)}`, 'warning');
+                continue;
+            }
+
+            const totalSize = this.getFiles().reduce((sum, attachment) => sum + attachment.size, 0) + file.size;
+            if (totalSize > CONFIG.ATTACHMENTS.MAX_TOTAL_SIZE) {
+                UI.showToast(`Attachments are limited to ${Utils.formatFileSize(CONFIG.ATTACHMENTS.MAX_TOTAL_SIZE)} per message`, 'warning');
+                continue;
+            }
+
+            try {
+                this.pending.push({
+                    type: 'file',
+                    name: file.name,
+                    mimeType: file.type || 'text/plain',
+                    size: file.size,
+                    content: await file.text()
+                });
+            } catch (error) {
+                console.error('Failed to read attachment:', error);
+                UI.showToast(`Could not read ${file.name}`, 'error');
+            }
+        }
+
+        this.renderChips();
+    }
+
+    /**
+     * Downscale an image and add it to the pending attachments
+     * @param {File} file - Image file
+     */
+    async addImage(file) {
+        if (!this.canSendImages()) {
+            UI.showToast(`${Chat.getChatSettings(Chat.getCurrentChat()).model} cannot read images. Pick a vision model with /model first.`, 'warning');
+            return;
+        }
+
+        if (this.getImages().length >= CONFIG.ATTACHMENTS.MAX_IMAGES) {
+            UI.showToast(`You can attach up to ${CONFIG.ATTACHMENTS.MAX_IMAGES} images per message`, 'warning');
+            return;
+        }
+
+        try {
+            const image = await this.downscaleImage(file);
+            if (image.size > CONFIG.ATTACHMENTS.MAX_IMAGE_SIZE) {
+                UI.showToast(`${file.name} is still larger than ${Utils.formatFileSize(CONFIG.ATTACHMENTS.MAX_IMAGE_SIZE)} after resizing`, 'warning');
+                return;
+            }
+
+            this.pending.push({ type: 'image', name: file.name || 'pasted-image', ...image });
+        } catch (error) {
+            console.error('Failed to read image:', error);
+            UI.showToast(`Could not read ${file.name || 'the pasted image'}`, 'error');
+        }
+    }
+
+    /**
+     * Shrink an image so its longest side fits the limit, re-encoding it as a data URL
+     * @param {File} file - Image file
+     * @returns {Promise<Object>} `mimeType`, `size`, `width`, `height` and `dataUrl`
+     */
+    async downscaleImage(file) {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, CONFIG.ATTACHMENTS.IMAGE_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+        const width = Math.round(bitmap.width * scale);
+        const height = Math.round(bitmap.height * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        // Screenshots stay PNG for sharp text unless that makes them too large; photos become JPEG
+        let mimeType = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+        let dataUrl = canvas.toDataURL(mimeType, CONFIG.ATTACHMENTS.IMAGE_QUALITY);
+        if (mimeType === 'image/png' && this.getDataUrlSize(dataUrl) > CONFIG.ATTACHMENTS.MAX_IMAGE_SIZE) {
+            mimeType = 'image/jpeg';
+            dataUrl = canvas.toDataURL(mimeType, CONFIG.ATTACHMENTS.IMAGE_QUALITY);
+        }
+
+        return { mimeType, size: this.getDataUrlSize(dataUrl), width, height, dataUrl };
+    }
+
+    /**
+     * Work out the decoded size of a base64 data URL
+     * @param {string} dataUrl - Data URL
+     * @returns {number} Size in bytes
+     */
+    getDataUrlSize(dataUrl) {
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        return Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+    }
+
+    /**
+     * Attach images pasted into the composer
+     * @param {ClipboardEvent} event - Paste event
+     * @returns {boolean} Whether the paste held images
+     */
+    handlePaste(event) {
+        const images = Array.from(event.clipboardData?.files || []).filter(file => this.isImageFile(file));
+        if (images.length === 0) return false;
+
+        event.preventDefault();
+        this.addFiles(images);
+        return true;
+    }
+
+    /**
+     * Get the pending text files
+     * @returns {Array} File attachments
+     */
+    getFiles() {
+        return this.pending.filter(attachment => attachment.type === 'file');
+    }
+
+    /**
+     * Get the pending images
+     * @returns {Array} Image attachments
+     */
+    getImages() {
+        return this.pending.filter(attachment => attachment.type === 'image');
+    }
+
+    /**
+     * Show the pending attachments above the composer
+     */
+    renderChips() {
+        if (this.chipList) {
+            this.chipList.innerHTML = this.pending.map((attachment, index) => `
+                <span class="attachment-chip">
+                    ${attachment.type === 'image'
+                        ? `<img class="attachment-chip-thumb" src="${Utils.escapeHtml(attachment.dataUrl)}" alt="">`
+                        : `<i class="fas ${this.getFileIcon(attachment.name)}"></i>`}
+                    <span class="attachment-chip-name">${Utils.escapeHtml(attachment.name)}</span>
+                    <span class="attachment-chip-size">${Utils.formatFileSize(attachment.size)}</span>
+                    <button class="attachment-chip-remove" data-remove-index="${index}" title="Remove attachment">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </span>
+            `).join('');
+            this.chipList.classList.toggle('hidden', this.pending.length === 0);
+        }
+
+        // An attachment alone is enough to send
+        Chat.handleInputChange();
+    }
+
+    /**
+     * Check whether anything is waiting to be sent
+     * @returns {boolean} Whether attachments are pending
+     */
+    hasPending() {
+        return this.pending.length > 0;
+    }
+
+    /**
+     * Hand the pending attachments to a new message and empty the composer
+     * @returns {Array} Attachments
+     */
+    take() {
+        const attachments = this.pending;
+        this.pending = [];
+        this.renderChips();
+        return attachments;
+    }
+
+    /**
+     * Put the attachments of an undelivered message back into the composer
+     * @param {Array} attachments - Attachments
+     */
+    restore(attachments = []) {
+        this.pending = [...attachments];
+        this.renderChips();
+    }
+
+    /**
+     * Drop all pending attachments
+     */
+    clear() {
+        this.pending = [];
+        this.renderChips();
+    }
+
+    /**
+     * Enable or disable the paperclip button with the rest of the composer
+     * @param {boolean} enabled - Whether attaching is allowed
+     */
+    setEnabled(enabled) {
+        if (this.attachButton) {
+            this.attachButton.disabled = !enabled;
+        }
+    }
+
+    /**
+     * Pick an icon for a file from its extension
+     * @param {string} name - File name
+     * @returns {string} Font Awesome icon class
+     */
+    getFileIcon(name) {
+        const extension = name.split('.').pop().toLowerCase();
+        if (extension === 'csv') return 'fa-file-csv';
+        if (['md', 'txt', 'log'].includes(extension)) return 'fa-file-alt';
+        return 'fa-file-code';
+    }
+
+    /**
+     * Render the attachments of a message as image thumbnails and collapsible file cards
+     * @param {Array} attachments - Message attachments
+     * @returns {string} Attachments HTML
+     */
+    renderCards(attachments = []) {
+        const images = attachments.filter(attachment => attachment.type === 'image');
+        const files = attachments.filter(attachment => attachment.type === 'file');
+        if (images.length === 0 && files.length === 0) return '';
+
+        return `
+            <div class="message-attachments">
+                ${images.length > 0 ? `
+                    <div class="message-images">
+                        ${images.map(image => `
+                            <button class="image-thumb" title="${Utils.escapeHtml(image.name)}">
+                                <img src="${Utils.escapeHtml(image.dataUrl)}" alt="${Utils.escapeHtml(image.name)}" loading="lazy">
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${files.map(file => `
+                    <details class="file-card">
+                        <summary>
+                            <i class="fas ${this.getFileIcon(file.name)}"></i>
+                            <span class="file-card-name">${Utils.escapeHtml(file.name)}</span>
+                            <span class="file-card-size">${Utils.formatFileSize(file.size)}</span>
+                        </summary>
+                        <pre class="file-card-content"><code>${Utils.escapeHtml(file.content)}</code></pre>
+                    </details>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Show an image full size over the app
+     * @param {HTMLImageElement} image - Thumbnail image
+     */
+    openLightbox(image) {
+        if (!image) return;
+
+        const lightbox = document.createElement('div');
+        lightbox.className = 'lightbox';
+        lightbox.innerHTML = `
+            <img src="${Utils.escapeHtml(image.src)}" alt="${Utils.escapeHtml(image.alt)}">
+            <button class="lightbox-close" title="Close"><i class="fas fa-times"></i></button>
+        `;
+
+        const close = () => {
+            document.removeEventListener('keydown', handleEscape);
+            lightbox.remove();
+        };
+
+        const handleEscape = (event) => {
+            if (event.key === 'Escape') {
+                close();
+            }
+        };
+        document.addEventListener('keydown', handleEscape);
+
+        lightbox.addEventListener('click', (event) => {
+            if (event.target.tagName !== 'IMG') {
+                close();
+            }
+        });
+
+        document.body.appendChild(lightbox);
+    }
+}
+
+// Initialize attachment manager
+document.addEventListener('DOMContentLoaded', () => {
+    window.Attachments = new AttachmentManager();
+});
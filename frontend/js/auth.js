@@ -11,7 +11,11 @@ class AuthManager {
         this.authForm = null;
         this.usernameInput = null;
         this.passwordInput = null;
+        this.serverUrlInput = null;
         this.errorElement = null;
+        this.profileSwitcher = null;
+        this.profileMenu = null;
+        this.addingFromProfileId = null;
         
         this.init();
     }
@@ -22,9 +26,49 @@ class AuthManager {
     init() {
         this.bindElements();
         this.bindEvents();
+        this.registerCommands();
         this.checkAuthStatus();
     }
 
+    /**
+     * Add account and admin commands to the command palette
+     */
+    registerCommands() {
+        Palette.register({
+            id: 'admin-panel',
+            title: 'Open Admin Panel',
+            section: 'Settings',
+            icon: 'fa-shield-alt',
+            keywords: 'users analytics',
+            when: () => this.currentUser?.role === 'admin',
+            run: () => this.showAdminPanel()
+        });
+
+        Palette.register({
+            id: 'add-account',
+            title: 'Add Account',
+            section: 'Settings',
+            icon: 'fa-user-plus',
+            keywords: 'login sign in profile',
+            run: () => this.startAddAccount()
+        });
+
+        Palette.registerProvider(() => API.getProfiles()
+            .filter(profile => profile.id !== API.activeProfileId)
+            .map(profile => {
+                const { name, host } = this.describeProfile(profile);
+                return {
+                    id: `profile:${profile.id}`,
+                    title: `Switch to ${name}`,
+                    subtitle: host,
+                    section: 'Settings',
+                    icon: 'fa-user-circle',
+                    keywords: 'account profile',
+                    run: () => this.switchToProfile(profile.id)
+                };
+            }));
+    }
+
     /**
      * Bind DOM elements
      */
@@ -33,7 +77,13 @@ class AuthManager {
         this.authForm = document.getElementById('auth-form');
         this.usernameInput = document.getElementById('username');
         this.passwordInput = document.getElementById('password');
+        this.serverUrlInput = document.getElementById('server-url');
         this.errorElement = document.getElementById('auth-error');
+        this.cancelAddAccountBtn = document.getElementById('cancel-add-account');
+        this.profileSwitcher = document.getElementById('profile-switcher');
+        this.profileButton = document.getElementById('profile-switcher-btn');
+        this.profileMenu = document.getElementById('profile-menu');
+        this.adminPanelBtn = document.getElementById('admin-panel-btn');
     }
 
     /**
@@ -54,8 +104,38 @@ class AuthManager {
             this.usernameInput.addEventListener('keydown', this.handleKeyDown.bind(this));
         }
 
+        if (this.cancelAddAccountBtn) {
+            this.cancelAddAccountBtn.addEventListener('click', this.cancelAddAccount.bind(this));
+        }
+
+        if (this.adminPanelBtn) {
+            this.adminPanelBtn.addEventListener('click', this.showAdminPanel.bind(this));
+        }
+
+        // Account switcher
+        if (this.profileButton) {
+            this.profileButton.addEventListener('click', this.toggleProfileMenu.bind(this));
+        }
+
+        if (this.profileMenu) {
+            this.profileMenu.addEventListener('click', this.handleProfileMenuClick.bind(this));
+        }
+
+        document.addEventListener('click', (event) => {
+            if (this.profileSwitcher && !this.profileSwitcher.contains(event.target)) {
+                this.toggleProfileMenu(false);
+            }
+        });
+
         // Listen for logout events
         document.addEventListener('logout', this.handleLogout.bind(this));
+
+        // The API client gave up on refreshing the session
+        document.addEventListener('session-expired', this.handleSessionExpired.bind(this));
+
+        // Follow logins and logouts made in other tabs
+        Sync.on('profiles-changed', this.handleProfilesChanged.bind(this));
+        Sync.on('logout', this.handleRemoteLogout.bind(this));
     }
 
     /**
@@ -78,6 +158,7 @@ class AuthManager {
         
         if (API && API.isAuthenticated()) {
             this.isAuthenticated = true;
+            this.currentUser = API.getActiveProfile()?.user || null;
             
             // Get current user info for admin button visibility
             try {
@@ -105,7 +186,14 @@ class AuthManager {
         
         const username = this.usernameInput.value.trim();
         const password = this.passwordInput.value.trim();
+        const serverUrl = this.serverUrlInput ? this.serverUrlInput.value.trim() : API.baseUrl;
         
+        if (!this.isValidServerUrl(serverUrl)) {
+            this.showError('Please enter a valid server URL');
+            this.serverUrlInput?.focus();
+            return;
+        }
+
         if (!username) {
             this.showError('Please enter a username');
             this.usernameInput.focus();
@@ -122,10 +210,12 @@ class AuthManager {
         this.clearError();
 
         try {
+            API.prepareLogin(serverUrl);
             const response = await API.authenticate(username, password);
             
             if (response.success) {
                 this.isAuthenticated = true;
+                this.addingFromProfileId = null;
                 this.currentUser = response.data.user;
                 this.setSuccess();
                 
@@ -134,12 +224,10 @@ class AuthManager {
                     this.showApp();
                     UI.showToast(`Welcome back, ${this.currentUser.displayName || this.currentUser.username}!`, 'success');
                 }, 500);
-            } else {
-                this.showError(response.error || 'Invalid credentials');
             }
         } catch (error) {
             // Error already logged in API layer, just show user message
-            this.showError(error.message || 'Authentication failed. Please try again.');
+            this.showError(ApiError.getUserMessage(error));
         } finally {
             this.setLoading(false);
         }
@@ -160,9 +248,221 @@ class AuthManager {
         this.usernameInput.value = '';
         this.passwordInput.value = '';
         this.clearError();
-        this.showAuthModal();
         
         UI.showToast('You have been logged out', 'info');
+        this.showNextProfileOrLogin();
+    }
+
+    /**
+     * Handle a session whose refresh token was rejected
+     * @param {CustomEvent} event - session-expired event
+     */
+    handleSessionExpired(event) {
+        if (!this.isAuthenticated) return;
+
+        this.isAuthenticated = false;
+        this.currentUser = null;
+        this.passwordInput.value = '';
+        this.showAuthModal();
+        this.showError(ApiError.getUserMessage(event.detail.error));
+    }
+
+    /**
+     * Handle profiles added or removed in another tab
+     */
+    handleProfilesChanged() {
+        this.renderProfileSwitcher();
+
+        // A signed-out tab follows a login made elsewhere, unless it is adding its own account
+        if (this.isAuthenticated || this.addingFromProfileId) return;
+
+        API.loadTokenFromStorage();
+        if (API.isAuthenticated()) {
+            this.clearError();
+            this.checkAuthStatus();
+        }
+    }
+
+    /**
+     * Handle a logout made in another tab
+     */
+    handleRemoteLogout() {
+        if (!this.isAuthenticated) return;
+
+        this.isAuthenticated = false;
+        this.currentUser = null;
+        this.passwordInput.value = '';
+        this.clearError();
+
+        UI.showToast('You were logged out in another tab', 'info');
+        this.showNextProfileOrLogin();
+    }
+
+    /**
+     * After the active profile is gone, continue with another stored one or ask for a login
+     */
+    showNextProfileOrLogin() {
+        const [nextProfile] = API.getProfiles();
+
+        if (nextProfile) {
+            this.switchToProfile(nextProfile.id);
+        } else {
+            document.dispatchEvent(new Event('profile-switched'));
+            this.showAuthModal();
+        }
+    }
+
+    /**
+     * Make a stored profile active in this tab without signing out the others
+     * @param {string} profileId - Profile ID
+     */
+    switchToProfile(profileId) {
+        this.toggleProfileMenu(false);
+        if (profileId === API.activeProfileId && this.isAuthenticated) return;
+
+        this.addingFromProfileId = null;
+        this.isAuthenticated = false;
+        this.currentUser = null;
+
+        API.switchProfile(profileId);
+        document.dispatchEvent(new Event('profile-switched'));
+        this.checkAuthStatus();
+    }
+
+    /**
+     * Show the login form for another account, keeping the current one signed in
+     */
+    startAddAccount() {
+        this.toggleProfileMenu(false);
+
+        this.addingFromProfileId = API.activeProfileId;
+        this.isAuthenticated = false;
+        this.currentUser = null;
+        this.usernameInput.value = '';
+        this.passwordInput.value = '';
+        this.clearError();
+
+        API.prepareLogin(API.baseUrl);
+        document.dispatchEvent(new Event('profile-switched'));
+        this.showAuthModal();
+    }
+
+    /**
+     * Leave the add-account form and return to the previous profile
+     */
+    cancelAddAccount() {
+        const profiles = API.getProfiles();
+        const previous = profiles.find(profile => profile.id === this.addingFromProfileId) || profiles[0];
+
+        this.addingFromProfileId = null;
+        if (previous) {
+            this.switchToProfile(previous.id);
+        } else {
+            this.showAuthModal();
+        }
+    }
+
+    /**
+     * Check that a server URL can be used as an API base
+     * @param {string} url - Server URL
+     * @returns {boolean} Whether the URL is valid
+     */
+    isValidServerUrl(url) {
+        try {
+            const { protocol } = new URL(url);
+            return protocol === 'https:' || protocol === 'http:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the label shown for a profile in the switcher
+     * @param {Object} profile - Stored profile
+     * @returns {Object} Display name and backend host
+     */
+    describeProfile(profile) {
+        let host = profile.baseUrl;
+        try {
+            host = new URL(profile.baseUrl).host;
+        } catch (error) {
+            // Keep the raw URL
+        }
+
+        return {
+            name: profile.user ? (profile.user.displayName || profile.user.username) : 'Signed-in account',
+            host
+        };
+    }
+
+    /**
+     * Render the account switcher in the sidebar footer
+     */
+    renderProfileSwitcher() {
+        if (!this.profileButton || !this.profileMenu) return;
+
+        const profiles = API.getProfiles();
+        const active = profiles.find(profile => profile.id === API.activeProfileId);
+
+        const renderIdentity = (profile) => {
+            const { name, host } = this.describeProfile(profile);
+            return `
+                <span class="profile-avatar" style="background: ${Utils.generateColor(profile.baseUrl + name)}">
+                    ${Utils.escapeHtml(name.charAt(0).toUpperCase())}
+                </span>
+                <span class="profile-details">
+                    <span class="profile-name">${Utils.escapeHtml(name)}</span>
+                    <span class="profile-host">${Utils.escapeHtml(host)}</span>
+                </span>
+            `;
+        };
+
+        this.profileButton.innerHTML = active
+            ? `${renderIdentity(active)}<i class="fas fa-chevron-up"></i>`
+            : '';
+
+        this.profileMenu.innerHTML = `
+            ${profiles.map(profile => `
+                <button class="profile-option ${profile.id === API.activeProfileId ? 'active' : ''}" data-profile-id="${profile.id}">
+                    ${renderIdentity(profile)}
+                    ${profile.id === API.activeProfileId ? '<i class="fas fa-check"></i>' : ''}
+                </button>
+            `).join('')}
+            <button class="profile-option profile-add" data-action="add-account">
+                <i class="fas fa-user-plus"></i>
+                Add account
+            </button>
+        `;
+    }
+
+    /**
+     * Open or close the account switcher menu
+     * @param {boolean|Event} open - Whether to open; toggles when given a click event
+     */
+    toggleProfileMenu(open) {
+        if (!this.profileMenu) return;
+
+        const shouldOpen = typeof open === 'boolean' ? open : this.profileMenu.classList.contains('hidden');
+        if (shouldOpen) {
+            this.renderProfileSwitcher();
+        }
+        this.profileMenu.classList.toggle('hidden', !shouldOpen);
+        this.profileSwitcher?.classList.toggle('open', shouldOpen);
+    }
+
+    /**
+     * Handle a click inside the account switcher menu
+     * @param {Event} event - Click event
+     */
+    handleProfileMenuClick(event) {
+        const option = event.target.closest('.profile-option');
+        if (!option) return;
+
+        if (option.dataset.action === 'add-account') {
+            this.startAddAccount();
+        } else if (option.dataset.profileId) {
+            this.switchToProfile(option.dataset.profileId);
+        }
     }
 
     /**
@@ -172,6 +472,11 @@ class AuthManager {
         if (this.authModal) {
             this.authModal.classList.remove('hidden');
             document.getElementById('app')?.classList.add('hidden');
+
+            if (this.serverUrlInput) {
+                this.serverUrlInput.value = API.baseUrl;
+            }
+            this.cancelAddAccountBtn?.classList.toggle('hidden', !this.addingFromProfileId);
             
             // Focus username input after animation
             setTimeout(() => {
@@ -189,17 +494,12 @@ class AuthManager {
             document.getElementById('app')?.classList.remove('hidden');
             
             // Handle admin panel button visibility
-            const adminBtn = document.getElementById('admin-panel-btn');
-            if (adminBtn) {
-                if (this.currentUser && this.currentUser.role === 'admin') {
-                    // Show admin panel button for admin users only
-                    adminBtn.style.display = 'block';
-                    adminBtn.addEventListener('click', this.showAdminPanel.bind(this));
-                } else {
-                    // Hide admin panel button for non-admin users
-                    adminBtn.style.display = 'none';
-                }
+            if (this.adminPanelBtn) {
+                // Show admin panel button for admin users only
+                this.adminPanelBtn.style.display = this.currentUser && this.currentUser.role === 'admin' ? 'block' : 'none';
             }
+
+            this.renderProfileSwitcher();
             
             // Trigger app initialization
             document.dispatchEvent(new Event('app-ready'));
@@ -217,10 +517,12 @@ class AuthManager {
             this.authForm.classList.add('loading');
             this.usernameInput.disabled = true;
             this.passwordInput.disabled = true;
+            if (this.serverUrlInput) this.serverUrlInput.disabled = true;
         } else {
             this.authForm.classList.remove('loading');
             this.usernameInput.disabled = false;
             this.passwordInput.disabled = false;
+            if (this.serverUrlInput) this.serverUrlInput.disabled = false;
         }
     }
 
@@ -384,12 +686,9 @@ class AuthManager {
                 if (document.getElementById('manage-users').classList.contains('active')) {
                     this.loadUsers();
                 }
-            } else {
-                errorElement.textContent = response.error;
-                errorElement.classList.add('show');
             }
         } catch (error) {
-            errorElement.textContent = 'Failed to create user';
+            errorElement.textContent = ApiError.getUserMessage(error);
             errorElement.classList.add('show');
         }
     }
@@ -487,11 +786,9 @@ class AuthManager {
             if (response.success) {
                 UI.showToast(`User "${username}" ${action}d successfully`, 'success');
                 this.loadUsers(); // Refresh the users list
-            } else {
-                UI.showToast(response.error || `Failed to ${action} user`, 'error');
             }
         } catch (error) {
-            UI.showToast(`Failed to ${action} user`, 'error');
+            UI.showToast(`Failed to ${action} user: ${ApiError.getUserMessage(error)}`, 'error');
         }
     }
 
@@ -517,11 +814,9 @@ class AuthManager {
             if (response.success) {
                 UI.showToast(`User "${username}" deleted successfully`, 'success');
                 this.loadUsers(); // Refresh the users list
-            } else {
-                UI.showToast(response.error || 'Failed to delete user', 'error');
             }
         } catch (error) {
-            UI.showToast('Failed to delete user', 'error');
+            UI.showToast(`Failed to delete user: ${ApiError.getUserMessage(error)}`, 'error');
         }
     }
 
@@ -566,15 +861,13 @@ class AuthManager {
                 
                 if (loadingEl) loadingEl.style.display = 'none';
                 if (contentEl) contentEl.style.display = 'block';
-            } else {
-                throw new Error(response.error || 'Failed to load analytics');
             }
         } catch (error) {
             console.error('Analytics error:', error);
             if (loadingEl) loadingEl.style.display = 'none';
             if (errorEl) {
                 errorEl.style.display = 'block';
-                errorEl.textContent = error.message;
+                errorEl.textContent = ApiError.getUserMessage(error);
             }
         }
     }
@@ -622,15 +915,13 @@ class AuthManager {
                 
                 if (loadingEl) loadingEl.style.display = 'none';
                 if (contentEl) contentEl.style.display = 'block';
-            } else {
-                throw new Error(response.error || 'Failed to load top users');
             }
         } catch (error) {
             console.error('Top users error:', error);
             if (loadingEl) loadingEl.style.display = 'none';
             if (errorEl) {
                 errorEl.style.display = 'block';
-                errorEl.textContent = error.message;
+                errorEl.textContent = ApiError.getUserMessage(error);
             }
         }
     }
@@ -17,6 +17,16 @@ class ChatManager {
         
         this.isLoading = false;
         this.typingIndicator = null;
+        this.abortController = null;
+        this.retryCountdownTimer = null;
+        this.isFlushingOutbox = false;
+
+        // Writes the server acknowledged but reads may not reflect yet, keyed by chat ID
+        this.pendingWrites = new Map();
+        // Server creations of draft chats, keyed by draft ID
+        this.chatCreations = new Map();
+        // Chats whose title is being generated
+        this.titlingChats = new Set();
         
         this.init();
     }
@@ -28,6 +38,44 @@ class ChatManager {
         this.bindElements();
         this.bindEvents();
         this.setupAutoResize();
+        this.registerCommands();
+    }
+
+    /**
+     * Add chat actions and the chat list to the command palette
+     */
+    registerCommands() {
+        const hasChat = () => Boolean(this.currentChatId);
+
+        [
+            { id: 'new-chat', title: 'New Chat', icon: 'fa-plus', shortcut: 'Ctrl+N', run: () => this.createNewChat() },
+            { id: 'search-messages', title: 'Search Messages', icon: 'fa-search', keywords: 'find text', run: () => Search.focus() },
+            { id: 'rename-chat', title: 'Rename Chat', icon: 'fa-pen', keywords: 'title', when: hasChat, run: () => this.renameCurrentChat() },
+            { id: 'clear-chat', title: 'Clear Chat', icon: 'fa-eraser', keywords: 'messages reset', when: hasChat, run: () => this.clearCurrentChat() },
+            { id: 'delete-chat', title: 'Delete Chat', icon: 'fa-trash', keywords: 'remove', when: hasChat, run: () => this.deleteCurrentChat() }
+        ].forEach(command => Palette.register({ section: 'Actions', ...command }));
+
+        Palette.register({
+            id: 'chat-settings',
+            title: 'Chat Settings',
+            subtitle: 'Model, temperature and token limit of this chat',
+            section: 'Settings',
+            icon: 'fa-sliders-h',
+            keywords: 'model temperature tokens',
+            when: hasChat,
+            run: () => this.editChatSettings()
+        });
+
+        Palette.registerProvider(() => Array.from(this.chats.values())
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(chat => ({
+                id: `chat:${chat.id}`,
+                title: chat.title,
+                subtitle: chat.id === this.currentChatId ? 'Current chat' : Utils.formatDate(chat.updatedAt),
+                section: 'Chats',
+                icon: 'fa-comment',
+                run: () => chat.id !== this.currentChatId && this.loadChat(chat.id)
+            })));
     }
 
     /**
@@ -39,8 +87,12 @@ class ChatManager {
         this.sendButton = document.getElementById('send-btn');
         this.chatSessions = document.getElementById('chat-sessions');
         this.chatTitle = document.getElementById('chat-title');
+        this.chatSettingsBtn = document.getElementById('chat-settings-btn');
+        this.chatPersona = document.getElementById('chat-persona');
+        this.chatModelName = document.getElementById('chat-model-name');
         this.chatStatus = document.getElementById('chat-status');
         this.charCount = document.getElementById('char-count');
+        this.retryStatus = document.getElementById('retry-status');
         this.newChatBtn = document.getElementById('new-chat-btn');
         this.clearChatBtn = document.getElementById('clear-chat-btn');
         this.deleteChatBtn = document.getElementById('delete-chat-btn');
@@ -59,7 +111,7 @@ class ChatManager {
 
         // Send button
         if (this.sendButton) {
-            this.sendButton.addEventListener('click', this.handleSendMessage.bind(this));
+            this.sendButton.addEventListener('click', this.handleSendButtonClick.bind(this));
         }
 
         // New chat button
@@ -76,8 +128,56 @@ class ChatManager {
             this.deleteChatBtn.addEventListener('click', this.deleteCurrentChat.bind(this));
         }
 
+        if (this.chatSettingsBtn) {
+            this.chatSettingsBtn.addEventListener('click', this.editChatSettings.bind(this));
+        }
+
+        // Rename in place with a double-click on the header or a sidebar entry, or with F2
+        if (this.chatTitle) {
+            this.chatTitle.addEventListener('dblclick', () => {
+                if (this.currentChatId) {
+                    this.startInlineRename(this.chatTitle, this.currentChatId);
+                }
+            });
+        }
+
+        if (this.chatSessions) {
+            this.chatSessions.addEventListener('dblclick', (event) => {
+                const session = event.target.closest('.chat-session');
+                if (session && !event.target.closest('.chat-session-actions')) {
+                    this.startInlineRename(session.querySelector('.chat-session-title'), session.dataset.chatId);
+                }
+            });
+        }
+
+        document.addEventListener('keydown', this.handleRenameShortcut.bind(this));
+
         // Listen for app ready event
         document.addEventListener('app-ready', this.loadChats.bind(this));
+
+        // Show a countdown while the API client backs off
+        document.addEventListener('api-retry', this.showRetryCountdown.bind(this));
+
+        // Mirror chat list changes made in other tabs
+        Sync.on('chats-changed', this.applyRemoteChatChange.bind(this));
+
+        // Drop the previous account's chats when the user switches profile
+        document.addEventListener('profile-switched', this.resetForProfileSwitch.bind(this));
+
+        // Edit and branch controls on rendered messages
+        if (this.messagesContainer) {
+            this.messagesContainer.addEventListener('click', this.handleMessageToolClick.bind(this));
+        }
+
+        // Redraw persona names and avatars once personas load or change
+        document.addEventListener('personas-changed', this.handlePersonasChanged.bind(this));
+
+        // Show messages queued or delivered from the outbox by other tabs
+        Sync.on('outbox-changed', ({ chatId }) => {
+            if (chatId === this.currentChatId) {
+                this.renderQueuedMessages(chatId);
+            }
+        });
     }
 
     /**
@@ -106,9 +206,50 @@ class ChatManager {
                 : 'var(--text-quaternary)';
         }
         
-        // Enable/disable send button
+        // Enable/disable send button (it stays enabled as Stop while a reply is pending)
         if (this.sendButton) {
-            this.sendButton.disabled = !text.trim() || length > CONFIG.UI.MAX_MESSAGE_LENGTH || this.isLoading;
+            this.sendButton.disabled = this.isLoading
+                ? false
+                : (!text.trim() && !Attachments.hasPending()) || length > CONFIG.UI.MAX_MESSAGE_LENGTH;
+        }
+    }
+
+    /**
+     * Handle send button click - sends, or stops the pending reply
+     */
+    handleSendButtonClick() {
+        if (this.isLoading) {
+            this.stopGenerating();
+        } else {
+            this.handleSendMessage();
+        }
+    }
+
+    /**
+     * Cancel the in-flight reply, keeping whatever text already arrived
+     */
+    stopGenerating() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Toggle the send button between Send and Stop
+     * @param {boolean} isStop - Whether the button should act as Stop
+     */
+    setSendButtonMode(isStop) {
+        if (!this.sendButton) return;
+
+        this.sendButton.dataset.mode = isStop ? 'stop' : 'send';
+        this.sendButton.classList.toggle('stop', isStop);
+        this.sendButton.title = isStop ? 'Stop generating' : 'Send message';
+        this.sendButton.innerHTML = isStop
+            ? '<i class="fas fa-stop"></i>'
+            : '<i class="fas fa-paper-plane"></i>';
+
+        if (isStop) {
+            this.sendButton.disabled = false;
         }
     }
 
@@ -117,6 +258,9 @@ class ChatManager {
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleKeyDown(event) {
+        // The slash command popup takes the arrow keys, Enter and Escape while open
+        if (Commands.handleKeyDown(event)) return;
+
         if (event.key === 'Enter' && !event.shiftKey) {
             event.preventDefault();
             if (!this.sendButton.disabled) {
@@ -130,6 +274,9 @@ class ChatManager {
      * @param {ClipboardEvent} event - Paste event
      */
     handlePaste(event) {
+        // Pasted images become attachments instead of text
+        if (Attachments.handlePaste(event)) return;
+
         // Allow paste but trigger validation
         setTimeout(() => {
             this.handleInputChange();
@@ -137,6 +284,33 @@ class ChatManager {
         }, 0);
     }
 
+    /**
+     * Show when the API client will retry a rate-limited or failed request
+     * @param {CustomEvent} event - api-retry event
+     */
+    showRetryCountdown(event) {
+        if (!this.retryStatus) return;
+
+        const { status, retryAt, attempt, maxRetries } = event.detail;
+        const reason = status === 429 ? 'Rate limited' : 'Connection problem';
+
+        clearInterval(this.retryCountdownTimer);
+
+        const update = () => {
+            const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+            if (seconds <= 0) {
+                clearInterval(this.retryCountdownTimer);
+                this.retryStatus.classList.add('hidden');
+                return;
+            }
+            this.retryStatus.textContent = `${reason} - retrying in ${seconds}s (${attempt}/${maxRetries})`;
+        };
+
+        this.retryStatus.classList.remove('hidden');
+        update();
+        this.retryCountdownTimer = setInterval(update, 1000);
+    }
+
     /**
      * Load all chats
      */
@@ -153,12 +327,8 @@ class ChatManager {
                 return;
             }
             
-            const chats = await API.getChats();
-            
-            this.chats.clear();
-            chats.forEach(chat => {
-                this.chats.set(chat.id, chat);
-            });
+            this.reconcileChatList(await API.getChats());
+            const chats = Array.from(this.chats.values());
             
             this.renderChatList();
             
@@ -169,9 +339,12 @@ class ChatManager {
             } else {
                 this.showWelcomeMessage();
             }
+
+            // Deliver anything left in the outbox by an earlier session
+            this.flushOutbox();
         } catch (error) {
             console.error('Failed to load chats:', error);
-            UI.showToast(`Failed to load chats: ${error.message}`, 'error');
+            UI.showToast(`Failed to load chats: ${ApiError.getUserMessage(error)}`, 'error');
             this.showWelcomeMessage();
         } finally {
             UI.hideLoading();
@@ -184,11 +357,18 @@ class ChatManager {
     renderChatList() {
         if (!this.chatSessions) return;
 
+        // Redrawing would throw away a title being edited; the rename redraws when it ends
+        if (this.chatSessions.querySelector('.inline-rename-input')) return;
+
         const chatArray = Array.from(this.chats.values())
             .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
 
+        // The toolbar drops a tag filter that no longer matches, so it goes before grouping
+        const toolbar = Organizer.renderToolbar(chatArray);
+
         if (chatArray.length === 0) {
-            this.chatSessions.innerHTML = `
+            // Keep the toolbar so the archive and trash stay reachable
+            this.chatSessions.innerHTML = toolbar + `
                 <div class="empty-state">
                     <i class="fas fa-comments"></i>
                     <p>No chats yet. Create your first chat to get started!</p>
@@ -197,25 +377,55 @@ class ChatManager {
             return;
         }
 
-        this.chatSessions.innerHTML = chatArray.map(chat => `
-            <div class="chat-session ${chat.id === this.currentChatId ? 'active' : ''}" data-chat-id="${chat.id}">
-                <div class="chat-session-title">${Utils.escapeHtml(chat.title)}</div>
-                <div class="chat-session-preview">${Utils.escapeHtml(chat.preview || 'No messages')}</div>
-                <div class="chat-session-time">${Utils.formatDate(chat.updatedAt)}</div>
+        const groups = Organizer.groupChats(chatArray);
+        const onlyGroup = groups.filter(group => !group.dropZoneOnly).length === 1;
+
+        this.chatSessions.innerHTML = toolbar + groups.map(group => `
+            <div class="chat-group${group.collapsed ? ' collapsed' : ''}${group.dropZoneOnly ? ' drop-zone-only' : ''}" data-group="${group.type}" data-folder="${group.type === 'folder' ? Utils.escapeHtml(group.name) : ''}">
+                ${Organizer.renderGroupHeader(group, onlyGroup)}
+                ${group.collapsed ? '' : group.chats.map(chat => this.renderChatSession(chat)).join('')}
+                ${!group.collapsed && group.chats.length === 0
+                    ? '<div class="chat-group-empty">Drop chats here</div>'
+                    : ''}
             </div>
         `).join('');
 
         // Bind click events
         this.chatSessions.querySelectorAll('.chat-session').forEach(session => {
-            session.addEventListener('click', () => {
+            session.addEventListener('click', (event) => {
+                // Pin and organize buttons are handled by the organizer
+                if (event.target.closest('.chat-session-actions')) return;
+
                 const chatId = session.dataset.chatId;
                 if (chatId !== this.currentChatId) {
                     this.loadChat(chatId);
                 }
             });
+
+            session.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' && event.target === session && session.dataset.chatId !== this.currentChatId) {
+                    this.loadChat(session.dataset.chatId);
+                }
+            });
         });
     }
 
+    /**
+     * Render one sidebar entry
+     * @param {Object} chat - Chat
+     * @returns {string} Entry HTML
+     */
+    renderChatSession(chat) {
+        return `
+            <div class="chat-session ${chat.id === this.currentChatId ? 'active' : ''}" data-chat-id="${chat.id}" tabindex="0" draggable="true">
+                <div class="chat-session-title" title="Double-click or press F2 to rename">${Utils.escapeHtml(chat.title)}</div>
+                <div class="chat-session-preview">${Utils.escapeHtml(chat.preview || 'No messages')}</div>
+                <div class="chat-session-time">${Utils.formatDate(chat.updatedAt)}</div>
+                ${Organizer.renderSessionExtras(chat)}
+            </div>
+        `;
+    }
+
     /**
      * Activate a chat session in the UI
      * @param {string} chatId - Chat ID to activate
@@ -231,36 +441,220 @@ class ChatManager {
      * Create new chat
      */
     async createNewChat() {
+        // Let the user pick a persona first when they have any
+        const personaId = await Personas.choosePersona();
+        if (personaId === undefined) return;
+
+        const persona = Personas.get(personaId);
+
+        // Open a draft straight away; the server's chat replaces it once created
+        const now = new Date().toISOString();
+        const draft = {
+            id: `draft_${Utils.generateId()}`,
+            title: CONFIG.CHAT.DEFAULT_TITLE,
+            preview: '',
+            messages: [],
+            messageCount: 0,
+            createdAt: now,
+            updatedAt: now,
+            ...(persona && { personaId: persona.id, settings: persona.settings })
+        };
+
+        this.chats.set(draft.id, draft);
+        this.showChat(draft);
+        this.messageInput?.focus();
+
+        const creation = API.createChat(CONFIG.CHAT.DEFAULT_TITLE, { personaId });
+        this.chatCreations.set(draft.id, creation);
+
         try {
-            const chat = await API.createChat();
-            this.chats.set(chat.id, chat);
-            this.renderChatList();
-            
-            // Instead of loading from server, use the chat data we just received
-            this.currentChatId = chat.id;
-            this.currentChat = chat;
-            this.renderMessages(chat.messages || []);
-            this.updateChatHeader(chat);
-            this.activateChat(chat.id);
-            
-            UI.showToast('New chat created successfully', 'success');
-            
-            // Disable input initially to prevent sending before KV propagation
-            this.disableInput();
-            
-            // Show loading state while waiting for KV storage propagation
-            UI.showToast('Setting up chat...', 'info');
-            
-            // Longer delay to allow KV storage to propagate before enabling input
-            setTimeout(() => {
-                this.enableInput();
-                this.messageInput?.focus();
-                UI.showToast('Chat ready!', 'success');
-            }, 3000); // Increased from 1 second to 3 seconds
+            const chat = await creation;
+            this.replaceDraftChat(draft.id, chat);
         } catch (error) {
             console.error('Failed to create chat:', error);
-            UI.showToast('Failed to create new chat', 'error');
+            this.discardDraftChat(draft.id);
+            UI.showToast(`Failed to create new chat: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Check whether a chat only exists locally while the server creates it
+     * @param {string} chatId - Chat ID
+     * @returns {boolean} Whether the chat is a draft
+     */
+    isDraftChat(chatId) {
+        return Boolean(chatId?.startsWith('draft_'));
+    }
+
+    /**
+     * Get the server ID for a chat, waiting for a draft to be created
+     * @param {string} chatId - Chat or draft ID
+     * @returns {Promise<string>} Server chat ID
+     */
+    async resolveChatId(chatId) {
+        const creation = this.chatCreations.get(chatId);
+        if (creation) {
+            const chat = await creation;
+            return chat.id;
+        }
+
+        if (this.isDraftChat(chatId)) {
+            throw new ApiError({ code: 'CHAT_NOT_FOUND', status: 404 });
+        }
+
+        return chatId;
+    }
+
+    /**
+     * Swap a draft for the chat the server created
+     * @param {string} draftId - Draft ID
+     * @param {Object} chat - Created chat
+     */
+    replaceDraftChat(draftId, chat) {
+        // Deleted before the server answered
+        if (!this.chats.has(draftId)) return;
+
+        this.chats.delete(draftId);
+        this.trackWrite(chat);
+
+        if (this.currentChatId === draftId) {
+            this.currentChatId = chat.id;
+            this.currentChat = this.chats.get(chat.id);
+            this.updateChatHeader(this.currentChat);
+        }
+
+        this.renderChatList();
+        this.activateChat(this.currentChatId);
+        this.broadcastChatChange('upsert', chat);
+    }
+
+    /**
+     * Drop a draft whose creation failed
+     * @param {string} draftId - Draft ID
+     */
+    discardDraftChat(draftId) {
+        this.chats.delete(draftId);
+        this.chatCreations.delete(draftId);
+
+        if (this.currentChatId === draftId) {
+            this.showWelcomeMessage();
+        }
+
+        this.renderChatList();
+    }
+
+    /**
+     * Store a chat returned by a write and remember its version until reads catch up
+     * @param {Object} chat - Chat data from the server
+     * @returns {Object} Stored chat
+     */
+    trackWrite(chat) {
+        const stored = { ...this.chats.get(chat.id), ...chat };
+        this.chats.set(chat.id, stored);
+        this.pendingWrites.set(chat.id, {
+            version: chat.version,
+            updatedAt: chat.updatedAt,
+            recordedAt: Date.now()
+        });
+        return stored;
+    }
+
+    /**
+     * Record a change made to a local chat that the server applies on its side as well
+     * @param {Object} chat - Changed local chat
+     */
+    recordLocalWrite(chat) {
+        chat.version = typeof chat.version === 'number' ? chat.version + 1 : undefined;
+        chat.updatedAt = new Date().toISOString();
+        this.trackWrite(chat);
+    }
+
+    /**
+     * Get the pending write for a chat, forgetting it once it is too old to matter
+     * @param {string} chatId - Chat ID
+     * @returns {Object|undefined} Pending write
+     */
+    getPendingWrite(chatId) {
+        const pending = this.pendingWrites.get(chatId);
+        if (pending && Date.now() - pending.recordedAt > CONFIG.CHAT.PENDING_WRITE_TTL) {
+            this.pendingWrites.delete(chatId);
+            return undefined;
+        }
+        return pending;
+    }
+
+    /**
+     * Merge a chat read from the server with local state, keeping newer local writes
+     * @param {Object} serverChat - Chat from getChat or getChats
+     * @returns {Object|null} Chat to keep, or null if it was deleted here
+     */
+    reconcileChat(serverChat) {
+        const local = this.chats.get(serverChat.id);
+        const pending = this.getPendingWrite(serverChat.id);
+
+        if (pending) {
+            if (pending.deleted) return null;
+
+            const isStale = typeof serverChat.version === 'number' && typeof pending.version === 'number'
+                ? serverChat.version < pending.version
+                : new Date(serverChat.updatedAt) < new Date(pending.updatedAt);
+
+            if (isStale && local) return local;
+            this.pendingWrites.delete(serverChat.id);
         }
+
+        return { ...local, ...serverChat };
+    }
+
+    /**
+     * Replace the chat list with the server's, keeping drafts and writes it doesn't show yet
+     * @param {Array} serverChats - Chats from getChats
+     */
+    reconcileChatList(serverChats) {
+        const chats = new Map();
+        const serverIds = new Set(serverChats.map(chat => chat.id));
+
+        serverChats.forEach(serverChat => {
+            const chat = this.reconcileChat(serverChat);
+            if (chat) {
+                chats.set(chat.id, chat);
+            }
+        });
+
+        this.chats.forEach((chat, chatId) => {
+            if (serverIds.has(chatId)) return;
+
+            const pending = this.getPendingWrite(chatId);
+            if (this.isDraftChat(chatId) || (pending && !pending.deleted)) {
+                chats.set(chatId, chat);
+            }
+        });
+
+        // A deletion is confirmed once the list stops showing the chat
+        this.pendingWrites.forEach((pending, chatId) => {
+            if (pending.deleted && !serverIds.has(chatId)) {
+                this.pendingWrites.delete(chatId);
+            }
+        });
+
+        this.chats = chats;
+    }
+
+    /**
+     * Make a chat current and render it
+     * @param {Object} chat - Chat data
+     */
+    showChat(chat) {
+        this.currentChatId = chat.id;
+        this.currentChat = chat;
+
+        this.updateChatHeader(chat);
+        this.renderMessages(chat);
+        this.renderChatList();
+        this.activateChat(chat.id);
+
+        // Enable input
+        this.enableInput();
     }
 
     /**
@@ -270,42 +664,37 @@ class ChatManager {
     async loadChat(chatId) {
         if (!chatId || chatId === this.currentChatId) return;
 
+        // Nothing to fetch until the server has created it
+        if (this.isDraftChat(chatId)) {
+            this.showChat(this.chats.get(chatId));
+            return;
+        }
+
         try {
             UI.showLoading('Loading chat...');
             
             // Always fetch full chat data from server (local cache only has summaries)
-            const chatData = await API.getChat(chatId);
+            const serverChat = await API.getChat(chatId);
+            const chatData = this.reconcileChat(serverChat) || serverChat;
             
             // Update local cache with full chat data
             this.chats.set(chatId, chatData);
-            
-            this.currentChatId = chatId;
-            this.currentChat = chatData;
-            
-            this.updateChatHeader(chatData);
-            this.renderMessages(chatData.messages || []);
-            this.renderChatList();
-            this.activateChat(chatId);
-            
-            // Enable input
-            this.enableInput();
-            
+            this.showChat(chatData);
         } catch (error) {
             console.error('Failed to load chat:', error);
-            
-            // If it's a newly created chat that hasn't propagated yet, 
-            // check if we have it locally
+
+            // Offline, or written here so recently that reads miss it: show the copy we have
             const localChat = this.chats.get(chatId);
-            if (localChat) {
-                this.currentChatId = chatId;
-                this.currentChat = localChat;
-                this.updateChatHeader(localChat);
-                this.renderMessages(localChat.messages || []);
-                this.activateChat(chatId);
-                this.enableInput();
-                UI.showToast('Using local chat data', 'info');
+            const canUseLocal = localChat?.messages
+                && (error.code === 'NETWORK_ERROR' || this.getPendingWrite(chatId));
+
+            if (canUseLocal) {
+                this.showChat(localChat);
+                if (error.code === 'NETWORK_ERROR') {
+                    UI.showToast('You are offline. Showing the last loaded copy of this chat.', 'info');
+                }
             } else {
-                UI.showToast('Failed to load chat', 'error');
+                UI.showToast(`Failed to load chat: ${ApiError.getUserMessage(error)}`, 'error');
             }
         } finally {
             UI.hideLoading();
@@ -317,209 +706,1440 @@ class ChatManager {
      * @param {Object} chat - Chat data
      */
     updateChatHeader(chat) {
-        if (this.chatTitle) {
+        if (this.chatTitle && !this.chatTitle.querySelector('.inline-rename-input')) {
             this.chatTitle.textContent = chat.title;
         }
         
         if (this.chatStatus) {
-            const messageCount = chat.messages?.length || 0;
+            const messageCount = this.getActivePath(chat).length;
             this.chatStatus.textContent = messageCount === 0 
                 ? 'No messages yet' 
                 : `${messageCount} message${messageCount === 1 ? '' : 's'}`;
         }
+
+        if (this.chatSettingsBtn) {
+            this.chatModelName.textContent = this.getChatSettings(chat).model;
+            this.chatSettingsBtn.classList.remove('hidden');
+        }
+
+        if (this.chatPersona) {
+            const persona = Personas.get(chat.personaId);
+            this.chatPersona.innerHTML = persona
+                ? `<i class="fas ${Utils.escapeHtml(persona.icon)}" style="color: ${Utils.generateColor(persona.id)}"></i> ${Utils.escapeHtml(persona.name)}`
+                : '';
+            this.chatPersona.classList.toggle('hidden', !persona);
+        }
     }
 
     /**
-     * Render messages in chat
-     * @param {Array} messages - Array of messages
+     * Redraw the current chat after personas were loaded or edited
      */
-    renderMessages(messages = []) {
-        if (!this.messagesContainer) {
-            console.error('❌ Messages container not found!');
-            return;
-        }
-
-        this.messagesContainer.innerHTML = '';
+    handlePersonasChanged() {
+        const chat = this.getCurrentChat();
+        if (!chat) return;
 
-        if (messages.length === 0) {
-            this.showEmptyState();
-            return;
+        this.updateChatHeader(chat);
+        // Re-rendering mid-reply would drop the streaming bubble
+        if (!this.isLoading) {
+            this.renderMessages(chat);
         }
+    }
 
-        messages.forEach((message, index) => {
-            this.addMessageToUI(message, false);
-        });
-
-        // Scroll to bottom
-        UI.scrollToBottom(this.messagesContainer, true);
+    /**
+     * Get the generation settings of a chat, filling gaps with the defaults
+     * @param {Object} chat - Chat object
+     * @returns {Object} `model`, `temperature`, `maxTokens` and `topP`
+     */
+    getChatSettings(chat) {
+        return { ...CONFIG.MODELS.DEFAULTS, ...chat?.settings };
     }
 
     /**
-     * Add message to UI
-     * @param {Object} message - Message object
-     * @param {boolean} animate - Whether to animate the message
+     * Edit the model and generation settings of the current chat
      */
-    addMessageToUI(message, animate = true) {
-        if (!this.messagesContainer) return;
+    async editChatSettings() {
+        const chat = this.chats.get(this.currentChatId);
+        if (!chat || this.isLoading) return;
 
-        const messageEl = document.createElement('div');
-        messageEl.className = `message ${message.role}`;
-        
-        const avatarContent = message.role === 'user' 
-            ? '<i class="fas fa-user"></i>' 
-            : '<i class="fas fa-robot"></i>';
+        const values = await UI.form('Chat Settings', this.renderSettingsFields(this.getChatSettings(chat)));
+        if (!values) return;
 
-        messageEl.innerHTML = `
-            <div class="message-avatar">
-                ${avatarContent}
-            </div>
-            <div class="message-content">
-                <div class="message-text">${this.formatMessageText(message.content)}</div>
-                <div class="message-time">${Utils.formatTime(message.timestamp)}</div>
-            </div>
-        `;
+        await this.saveChatSettings(chat, this.readSettingsFields(values));
+    }
 
-        this.messagesContainer.appendChild(messageEl);
+    /**
+     * Switch the current chat to another model, or open its settings when no model is given
+     * @param {string} model - Model ID
+     */
+    async setChatModel(model) {
+        const chat = this.chats.get(this.currentChatId);
+        if (!chat) {
+            UI.showToast('Please select or create a chat first', 'warning');
+            return;
+        }
 
-        if (animate) {
-            UI.animateIn(messageEl);
+        if (!model) {
+            await this.editChatSettings();
+            return;
         }
 
-        // Scroll to bottom if needed
-        UI.scrollToBottom(this.messagesContainer);
+        if (!CONFIG.MODELS.OPTIONS.includes(model)) {
+            UI.showToast(`Unknown model "${model}". Available: ${CONFIG.MODELS.OPTIONS.join(', ')}`, 'warning');
+            return;
+        }
 
-        return messageEl;
+        await this.saveChatSettings(chat, { ...this.getChatSettings(chat), model });
     }
 
     /**
-     * Format message text with enhanced markdown and math
-     * @param {string} text - Message text
-     * @returns {string} Formatted HTML
+     * Store new generation settings on a chat
+     * @param {Object} chat - Chat to update
+     * @param {Object} updated - `model`, `temperature`, `maxTokens` and `topP`
      */
-    formatMessageText(text) {
-        // Escape HTML first, then apply markdown
-        const escapedText = Utils.escapeHtml(text);
-        const markdownHTML = Utils.parseSimpleMarkdown(escapedText);
-        
-        // Create a temporary element to process math
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = markdownHTML;
-        
-        // Render math expressions
-        Utils.renderMath(tempDiv);
-        
-        return tempDiv.innerHTML;
+    async saveChatSettings(chat, updated) {
+        try {
+            const chatId = await this.resolveChatId(chat.id);
+            const response = await API.updateChatSettings(chatId, updated);
+
+            if (response?.id) {
+                this.trackWrite(response);
+            } else {
+                this.recordLocalWrite({ ...this.chats.get(chatId), settings: updated });
+            }
+
+            const saved = this.chats.get(chatId);
+
+            if (chatId === this.currentChatId) {
+                this.updateChatHeader(saved);
+            }
+            this.broadcastChatChange('upsert', saved);
+            UI.showToast('Chat settings saved', 'success');
+        } catch (error) {
+            console.error('Failed to update chat settings:', error);
+            UI.showToast(`Failed to save settings: ${ApiError.getUserMessage(error)}`, 'error');
+        }
     }
 
     /**
-     * Handle send message
+     * Rename the current chat, asking for a title when none is given
+     * @param {string} title - New title
      */
-    async handleSendMessage() {
-        const message = this.messageInput.value.trim();
-        
-        if (!message || this.isLoading) return;
-        
-        if (!this.currentChatId) {
+    async renameCurrentChat(title = '') {
+        const chat = this.chats.get(this.currentChatId);
+        if (!chat) {
             UI.showToast('Please select or create a chat first', 'warning');
             return;
         }
 
-        if (message.length > CONFIG.UI.MAX_MESSAGE_LENGTH) {
-            UI.showToast('Message is too long', 'warning');
-            return;
-        }
+        const newTitle = title.trim() || await UI.prompt('Enter a new title for this chat', 'Rename Chat', chat.title);
+        if (newTitle === null) return;
+
+        await this.renameChat(chat.id, newTitle);
+    }
+
+    /**
+     * Save a new title for a chat
+     * @param {string} chatId - Chat ID
+     * @param {string} title - New title
+     * @param {Object} options - `quiet` only logs a failed save, for renames the user didn't ask for
+     * @returns {Promise<boolean>} Whether the chat was renamed
+     */
+    async renameChat(chatId, title, { quiet = false } = {}) {
+        const chat = this.chats.get(chatId);
+        const newTitle = title.trim();
+        if (!chat || newTitle === chat.title) return false;
+
+        if (!newTitle) {
+            UI.showToast('Chat titles cannot be empty', 'warning');
+            return false;
+        }
+
+        if (newTitle.length > CONFIG.CHAT.MAX_CHAT_TITLE_LENGTH) {
+            UI.showToast(`Chat titles can be at most ${CONFIG.CHAT.MAX_CHAT_TITLE_LENGTH} characters`, 'warning');
+            return false;
+        }
+
+        try {
+            const savedId = await this.resolveChatId(chatId);
+            const response = await API.updateChatTitle(savedId, newTitle);
+
+            if (response?.id) {
+                this.trackWrite(response);
+            } else {
+                this.recordLocalWrite({ ...this.chats.get(savedId), title: newTitle });
+            }
+
+            const saved = this.chats.get(savedId);
+
+            if (savedId === this.currentChatId) {
+                this.updateChatHeader(saved);
+            }
+            this.renderChatList();
+            this.broadcastChatChange('upsert', saved);
+            return true;
+        } catch (error) {
+            console.error('Failed to rename chat:', error);
+            if (!quiet) {
+                UI.showToast(`Failed to rename chat: ${ApiError.getUserMessage(error)}`, 'error');
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Save the pin, folder or tags of a chat
+     * @param {string} chatId - Chat ID
+     * @param {Object} changes - Any of `pinned`, `folder` and `tags`
+     * @returns {Promise<boolean>} Whether the chat was saved
+     */
+    async organizeChat(chatId, changes) {
+        try {
+            const savedId = await this.resolveChatId(chatId);
+            const response = await API.updateChatOrganization(savedId, changes);
+
+            if (response?.id) {
+                this.trackWrite(response);
+            } else {
+                this.recordLocalWrite({ ...this.chats.get(savedId), ...changes });
+            }
+
+            this.renderChatList();
+            this.broadcastChatChange('upsert', this.chats.get(savedId));
+            return true;
+        } catch (error) {
+            console.error('Failed to organize chat:', error);
+            UI.showToast(`Failed to update chat: ${ApiError.getUserMessage(error)}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Swap a title element for a text field; Enter or leaving the field saves, Escape cancels
+     * @param {HTMLElement} titleEl - Header or sidebar title element
+     * @param {string} chatId - Chat ID
+     */
+    startInlineRename(titleEl, chatId) {
+        const chat = this.chats.get(chatId);
+        if (!chat || !titleEl || titleEl.querySelector('.inline-rename-input')) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'inline-rename-input';
+        input.maxLength = CONFIG.CHAT.MAX_CHAT_TITLE_LENGTH;
+        input.value = chat.title;
+        input.setAttribute('aria-label', 'Chat title');
+
+        titleEl.textContent = '';
+        titleEl.appendChild(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) return;
+            finished = true;
+
+            // Put the old title back until the rename is saved
+            titleEl.textContent = this.chats.get(chatId)?.title ?? chat.title;
+
+            const renamed = save && await this.renameChat(chatId, input.value);
+            if (!renamed) {
+                this.renderChatList();
+            }
+        };
+
+        input.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                finish(true);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        // Keep clicks in the field from selecting the sidebar entry
+        input.addEventListener('click', (event) => event.stopPropagation());
+        input.addEventListener('dblclick', (event) => event.stopPropagation());
+    }
+
+    /**
+     * Rename the focused sidebar entry, or else the current chat, on F2
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleRenameShortcut(event) {
+        if (event.key !== 'F2' || !Auth.isUserAuthenticated()) return;
+
+        const session = document.activeElement?.closest?.('.chat-session');
+        const chatId = session?.dataset.chatId || this.currentChatId;
+        if (!chatId) return;
+
+        event.preventDefault();
+        this.startInlineRename(session ? session.querySelector('.chat-session-title') : this.chatTitle, chatId);
+    }
+
+    /**
+     * Give an untitled chat a title after its first exchange, asking the model and
+     * falling back to the first words of the message
+     * @param {string} chatId - Chat ID
+     * @param {Object} userMessage - The message that was just answered
+     */
+    async autoTitleChat(chatId, userMessage) {
+        const chat = this.chats.get(chatId);
+        if (!chat || chat.title !== CONFIG.CHAT.DEFAULT_TITLE || this.titlingChats.has(chatId)) return;
+
+        this.titlingChats.add(chatId);
+
+        try {
+            // Failures are logged by the API client; the fallback below still names the chat
+            let title = await API.generateChatTitle(chatId).catch(() => '');
+
+            // Models like to wrap titles in quotes and end them with a period
+            title = title.replace(/^["'\s]+|["'.\s]+$/g, '').slice(0, CONFIG.CHAT.MAX_CHAT_TITLE_LENGTH);
+            if (!title) {
+                const text = userMessage.content
+                    || (userMessage.attachments || []).map(attachment => attachment.name).join(', ');
+                title = Utils.generateChatTitle(text);
+            }
+
+            // Leave the chat alone if the user renamed it in the meantime
+            if (this.chats.get(chatId)?.title === CONFIG.CHAT.DEFAULT_TITLE && title !== CONFIG.CHAT.DEFAULT_TITLE) {
+                await this.renameChat(chatId, title, { quiet: true });
+            }
+        } finally {
+            this.titlingChats.delete(chatId);
+        }
+    }
+
+    /**
+     * Render form fields for generation settings, shared by chat settings and personas
+     * @param {Object} settings - Current `model`, `temperature`, `maxTokens` and `topP`
+     * @returns {string} Form fields HTML
+     */
+    renderSettingsFields(settings) {
+        const modelOptions = [...new Set([...CONFIG.MODELS.OPTIONS, settings.model])]
+            .map(model => `<option value="${Utils.escapeHtml(model)}"${model === settings.model ? ' selected' : ''}>${Utils.escapeHtml(model)}</option>`)
+            .join('');
+
+        return `
+            <div class="form-group">
+                <label class="form-label" for="chat-setting-model">Model</label>
+                <select id="chat-setting-model" class="form-input" name="model">${modelOptions}</select>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="chat-setting-temperature">Temperature (0-2)</label>
+                <input id="chat-setting-temperature" class="form-input" name="temperature" type="number" min="0" max="2" step="0.1" value="${settings.temperature}" required>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="chat-setting-max-tokens">Max tokens (1-${CONFIG.MODELS.MAX_TOKENS_LIMIT})</label>
+                <input id="chat-setting-max-tokens" class="form-input" name="maxTokens" type="number" min="1" max="${CONFIG.MODELS.MAX_TOKENS_LIMIT}" step="1" value="${settings.maxTokens}" required>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="chat-setting-top-p">Top-p (0-1)</label>
+                <input id="chat-setting-top-p" class="form-input" name="topP" type="number" min="0" max="1" step="0.05" value="${settings.topP}" required>
+            </div>
+        `;
+    }
+
+    /**
+     * Read generation settings submitted from renderSettingsFields
+     * @param {Object} values - Submitted form values
+     * @returns {Object} `model`, `temperature`, `maxTokens` and `topP`
+     */
+    readSettingsFields(values) {
+        return {
+            model: values.model,
+            temperature: Number(values.temperature),
+            maxTokens: Number.parseInt(values.maxTokens, 10),
+            topP: Number(values.topP)
+        };
+    }
+
+    /**
+     * Render the selected branch of a chat
+     * @param {Object} chat - Chat data
+     */
+    renderMessages(chat) {
+        if (!this.messagesContainer) {
+            console.error('❌ Messages container not found!');
+            return;
+        }
+
+        this.messagesContainer.innerHTML = '';
+
+        const tree = this.getMessageTree(chat);
+        const messages = this.getActivePath(chat, tree);
+
+        // Only the latest reply can be regenerated, and only once the server knows its prompt
+        const lastMessage = messages[messages.length - 1];
+        const prompt = tree.find(message => message.id === lastMessage?.parentId);
+        if (lastMessage?.role === 'assistant' && !lastMessage.localOnly && prompt && !prompt.localOnly) {
+            lastMessage.regenerable = true;
+        }
+
+        if (messages.length === 0) {
+            this.showEmptyState();
+        } else {
+            messages.forEach((message, index) => {
+                this.addMessageToUI(message, false, this.getBranchInfo(tree, message));
+            });
+
+            // Scroll to bottom
+            UI.scrollToBottom(this.messagesContainer, true);
+        }
+
+        // Messages still waiting in the outbox go after the stored transcript
+        this.renderQueuedMessages(this.currentChatId);
+    }
+
+    /**
+     * Add message to UI
+     * @param {Object} message - Message object
+     * @param {boolean} animate - Whether to animate the message
+     * @param {Object|null} branch - Position among sibling branches, from getBranchInfo
+     */
+    addMessageToUI(message, animate = true, branch = null) {
+        if (!this.messagesContainer) return;
+
+        const messageEl = document.createElement('div');
+        messageEl.className = `message ${message.role}`;
+        if (message.clientId) {
+            messageEl.dataset.clientId = message.clientId;
+        }
+        if (message.id) {
+            messageEl.dataset.messageId = message.id;
+        }
+        
+        // Assistant replies wear the icon and colour of the chat's persona
+        const persona = message.role === 'assistant' ? Personas.get(this.getCurrentChat()?.personaId) : null;
+        const avatarContent = message.role === 'user' 
+            ? '<i class="fas fa-user"></i>' 
+            : `<i class="fas ${Utils.escapeHtml(persona?.icon || 'fa-robot')}"></i>`;
+        const avatarStyle = persona ? ` style="background: ${Utils.generateColor(persona.id)}; color: var(--text-primary);"` : '';
+
+        messageEl.innerHTML = `
+            <div class="message-avatar"${avatarStyle}>
+                ${avatarContent}
+            </div>
+            <div class="message-content">
+                ${message.role === 'assistant' && message.model ? `<div class="message-model">${Utils.escapeHtml(message.model)}</div>` : ''}
+                <div class="message-text">${Utils.formatMessageText(message.content)}</div>
+                ${Attachments.renderCards(message.attachments)}
+                <div class="message-footer">
+                    <div class="message-time">${Utils.formatTime(message.timestamp)}</div>
+                    ${this.renderMessageToolbar(message, branch)}
+                </div>
+            </div>
+        `;
+
+        if (message.interrupted) {
+            this.markMessageInterrupted(messageEl);
+        }
+
+        this.messagesContainer.appendChild(messageEl);
+
+        if (animate) {
+            UI.animateIn(messageEl);
+        }
+
+        // Scroll to bottom if needed
+        UI.scrollToBottom(this.messagesContainer);
+
+        return messageEl;
+    }
+
+    /**
+     * Build the edit and branch controls shown under a message
+     * @param {Object} message - Message from getMessageTree
+     * @param {Object|null} branch - Position among sibling branches
+     * @returns {string} Toolbar HTML
+     */
+    renderMessageToolbar(message, branch) {
+        const tools = [];
+
+        if (branch) {
+            tools.push(`
+                <span class="message-branch-nav">
+                    <button class="message-tool" data-message-action="branch-prev" title="Previous version" ${branch.index === 0 ? 'disabled' : ''}>‹</button>
+                    <span>${branch.index + 1}/${branch.count}</span>
+                    <button class="message-tool" data-message-action="branch-next" title="Next version" ${branch.index === branch.count - 1 ? 'disabled' : ''}>›</button>
+                </span>
+            `);
+        }
+
+        if (message.editable) {
+            tools.push('<button class="message-tool" data-message-action="edit" title="Edit message"><i class="fas fa-pen"></i></button>');
+        }
+
+        if (message.regenerable) {
+            tools.push('<button class="message-tool" data-message-action="regenerate" title="Regenerate reply"><i class="fas fa-redo"></i></button>');
+        }
+
+        return tools.length > 0 ? `<div class="message-toolbar">${tools.join('')}</div>` : '';
+    }
+
+    /**
+     * Get the messages of a chat as a tree, each with a parent
+     * @param {Object} chat - Chat data
+     * @returns {Array} Copies of the messages with `id`, `parentId` and `editable` set
+     */
+    getMessageTree(chat) {
+        const messages = chat?.messages || [];
+
+        // Messages kept only locally have no server id yet
+        const tree = messages.map((message, index) => ({
+            ...message,
+            id: message.id || message.clientId || `local_${index}`,
+            localOnly: !message.id
+        }));
+
+        // Messages stored before branching follow the one before them
+        tree.forEach((message, index) => {
+            if (messages[index].parentId === undefined) {
+                message.parentId = index > 0 ? tree[index - 1].id : null;
+            }
+        });
+
+        // Editing creates a sibling, which needs a parent the server knows
+        const byId = new Map(tree.map(message => [message.id, message]));
+        tree.forEach(message => {
+            const parent = byId.get(message.parentId);
+            message.editable = message.role === 'user' && !message.localOnly && (!parent || !parent.localOnly);
+        });
+
+        return tree;
+    }
+
+    /**
+     * Get the direct replies to a message
+     * @param {Array} tree - Messages from getMessageTree
+     * @param {string|null} parentId - Parent message ID, or null for the first messages
+     * @returns {Array} Child messages, oldest first
+     */
+    getChildren(tree, parentId) {
+        return tree.filter(message => message.parentId === parentId);
+    }
+
+    /**
+     * Follow the newest replies down from a message to the end of its branch
+     * @param {Array} tree - Messages from getMessageTree
+     * @param {Object} message - Starting message
+     * @returns {Object} Last message of the branch
+     */
+    getLatestLeaf(tree, message) {
+        const visited = new Set();
+        let leaf = message;
+
+        while (!visited.has(leaf.id)) {
+            visited.add(leaf.id);
+            const children = this.getChildren(tree, leaf.id);
+            if (children.length === 0) break;
+            leaf = children[children.length - 1];
+        }
+
+        return leaf;
+    }
+
+    /**
+     * Get the messages of the selected branch, first to last
+     * @param {Object} chat - Chat data
+     * @param {Array} tree - Messages from getMessageTree, if already built
+     * @returns {Array} Messages on the path to the chat's current leaf
+     */
+    getActivePath(chat, tree = this.getMessageTree(chat)) {
+        if (tree.length === 0) return [];
+
+        const byId = new Map(tree.map(message => [message.id, message]));
+        const roots = this.getChildren(tree, null);
+        let node = byId.get(chat.currentLeafId)
+            || this.getLatestLeaf(tree, roots[roots.length - 1] || tree[tree.length - 1]);
+
+        const path = [];
+        while (node && !path.includes(node)) {
+            path.unshift(node);
+            node = byId.get(node.parentId);
+        }
+
+        return path;
+    }
+
+    /**
+     * Get a message's position among the branches that share its parent
+     * @param {Array} tree - Messages from getMessageTree
+     * @param {Object} message - Message on the active path
+     * @returns {Object|null} `{ index, count }`, or null when there is only one branch
+     */
+    getBranchInfo(tree, message) {
+        const siblings = this.getChildren(tree, message.parentId);
+        if (siblings.length < 2) return null;
+
+        return {
+            index: siblings.findIndex(sibling => sibling.id === message.id),
+            count: siblings.length
+        };
+    }
+
+    /**
+     * Handle clicks on the edit and branch controls of a message
+     * @param {Event} event - Click event
+     */
+    handleMessageToolClick(event) {
+        const button = event.target.closest('[data-message-action]');
+        const messageEl = button?.closest('.message');
+        const messageId = messageEl?.dataset.messageId;
+        if (!messageId) return;
+
+        if (this.isLoading) {
+            UI.showToast('Please wait for the current reply to finish', 'warning');
+            return;
+        }
+
+        const action = button.dataset.messageAction;
+        if (action === 'branch-prev') {
+            this.switchBranch(messageId, -1);
+        } else if (action === 'branch-next') {
+            this.switchBranch(messageId, 1);
+        } else if (action === 'edit') {
+            this.startEditingMessage(messageEl, messageId);
+        } else if (action === 'edit-cancel') {
+            this.cancelEditingMessage(messageEl);
+        } else if (action === 'edit-submit') {
+            this.submitEditedMessage(messageEl, messageId);
+        } else if (action === 'regenerate') {
+            this.regenerateReply(messageEl, messageId);
+        }
+    }
+
+    /**
+     * Ask for another reply to the prompt of an assistant message, keeping the old one as a variant
+     * @param {HTMLElement} messageEl - Assistant message element
+     * @param {string} messageId - Assistant message ID
+     */
+    async regenerateReply(messageEl, messageId) {
+        const chatId = this.currentChatId;
+        const reply = this.getMessageTree(this.chats.get(chatId)).find(m => m.id === messageId);
+        if (!reply?.parentId) return;
+
+        this.isLoading = true;
+        this.abortController = new AbortController();
+        this.disableInput();
+        this.setSendButtonMode(true);
+
+        // The new variant takes the old reply's place; the old one stays reachable with ‹ ›
+        messageEl.remove();
+
+        try {
+            this.typingIndicator = UI.showTypingIndicator(this.messagesContainer);
+
+            const response = await this.streamAssistantReply(API.streamRegeneration(chatId, reply.parentId, {
+                signal: this.abortController.signal
+            }));
+
+            UI.hideTypingIndicator(this.typingIndicator);
+
+            // A stopped variant is stored too - pick it up with its id
+            const chat = response.chat
+                ? this.trackWrite(response.chat)
+                : this.reconcileChat(await API.getChat(chatId));
+
+            if (chat) {
+                this.chats.set(chatId, chat);
+                this.broadcastChatChange('upsert', chat);
+                if (chatId === this.currentChatId) {
+                    this.currentChat = chat;
+                    this.updateChatHeader(chat);
+                    this.renderMessages(chat);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to regenerate reply:', error);
+            UI.hideTypingIndicator(this.typingIndicator);
+            UI.showToast(ApiError.getUserMessage(error), 'error');
+
+            // Put the previous reply back
+            if (chatId === this.currentChatId) {
+                this.renderMessages(this.chats.get(chatId));
+            }
+        } finally {
+            this.isLoading = false;
+            this.abortController = null;
+            this.setSendButtonMode(false);
+            this.enableInput();
+        }
+    }
+
+    /**
+     * Show the selected chat's previous or next sibling branch
+     * @param {string} messageId - Message whose siblings to move between
+     * @param {number} step - -1 for the previous branch, 1 for the next
+     */
+    async switchBranch(messageId, step) {
+        const chat = this.chats.get(this.currentChatId);
+        const tree = this.getMessageTree(chat);
+        const message = tree.find(m => m.id === messageId);
+        if (!chat || !message) return;
+
+        const siblings = this.getChildren(tree, message.parentId);
+        const target = siblings[siblings.findIndex(sibling => sibling.id === messageId) + step];
+        if (!target) return;
+
+        await this.selectLeaf(chat, this.getLatestLeaf(tree, target));
+    }
+
+    /**
+     * Show the branch ending at a message and save the choice on the server
+     * @param {Object} chat - Current chat
+     * @param {Object} leaf - Last message of the branch, from getMessageTree
+     */
+    async selectLeaf(chat, leaf) {
+        chat.currentLeafId = leaf.id;
+        this.recordLocalWrite(chat);
+
+        this.currentChat = chat;
+        this.updateChatHeader(chat);
+        this.renderMessages(chat);
+        this.broadcastChatChange('upsert', chat);
+
+        if (leaf.localOnly) return;
+
+        try {
+            const updated = await API.selectBranch(chat.id, leaf.id);
+            if (updated?.id) {
+                this.trackWrite(updated);
+            }
+        } catch (error) {
+            console.error('Failed to save selected branch:', error);
+            UI.showToast(`Could not save the selected version: ${ApiError.getUserMessage(error)}`, 'warning');
+        }
+    }
+
+    /**
+     * Open a chat at one of its messages and flash it, switching to the branch that holds it
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     */
+    async revealMessage(chatId, messageId) {
+        if (chatId !== this.currentChatId) {
+            await this.loadChat(chatId);
+        }
+
+        const chat = this.chats.get(chatId);
+        if (!chat || chatId !== this.currentChatId) return;
+
+        const tree = this.getMessageTree(chat);
+        const message = tree.find(m => m.id === messageId);
+        if (!message) {
+            UI.showToast('That message is no longer in this chat', 'warning');
+            return;
+        }
+
+        // The branch renders straight away; saving it can finish in the background
+        if (!this.getActivePath(chat, tree).some(m => m.id === messageId)) {
+            this.selectLeaf(chat, this.getLatestLeaf(tree, message));
+        }
+
+        const messageEl = this.messagesContainer?.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+        if (!messageEl) return;
+
+        messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        messageEl.classList.remove('flash');
+        // Restart the animation when the same result is opened twice
+        void messageEl.offsetWidth;
+        messageEl.classList.add('flash');
+        messageEl.addEventListener('animationend', () => messageEl.classList.remove('flash'), { once: true });
+    }
+
+    /**
+     * Replace a user message with an inline editor
+     * @param {HTMLElement} messageEl - User message element
+     * @param {string} messageId - Message ID
+     */
+    startEditingMessage(messageEl, messageId) {
+        const message = this.getMessageTree(this.chats.get(this.currentChatId)).find(m => m.id === messageId);
+        if (!message || messageEl.classList.contains('editing')) return;
+
+        messageEl.classList.add('editing');
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        editor.innerHTML = `
+            <textarea class="message-editor-input" rows="1" maxlength="${CONFIG.UI.MAX_MESSAGE_LENGTH}"></textarea>
+            <div class="message-editor-actions">
+                <button class="message-action" data-message-action="edit-cancel">Cancel</button>
+                <button class="message-action" data-message-action="edit-submit"><i class="fas fa-paper-plane"></i> Send</button>
+            </div>
+        `;
+
+        const input = editor.querySelector('.message-editor-input');
+        input.value = message.content;
+        input.addEventListener('input', () => Utils.autoResizeTextarea(input));
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                this.submitEditedMessage(messageEl, messageId);
+            } else if (event.key === 'Escape') {
+                this.cancelEditingMessage(messageEl);
+            }
+        });
+
+        messageEl.querySelector('.message-content').appendChild(editor);
+        Utils.autoResizeTextarea(input);
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+
+    /**
+     * Close the inline editor without changes
+     * @param {HTMLElement} messageEl - User message element
+     */
+    cancelEditingMessage(messageEl) {
+        messageEl.querySelector('.message-editor')?.remove();
+        messageEl.classList.remove('editing');
+    }
+
+    /**
+     * Send an edited message as a new branch next to the original
+     * @param {HTMLElement} messageEl - User message element being edited
+     * @param {string} messageId - ID of the original message
+     */
+    async submitEditedMessage(messageEl, messageId) {
+        const content = messageEl.querySelector('.message-editor-input')?.value.trim();
+        const original = this.getMessageTree(this.chats.get(this.currentChatId)).find(m => m.id === messageId);
+        if (!content || !original) return;
+
+        if (content.length > CONFIG.UI.MAX_MESSAGE_LENGTH) {
+            UI.showToast('Message is too long', 'warning');
+            return;
+        }
+
+        if (content === original.content) {
+            this.cancelEditingMessage(messageEl);
+            return;
+        }
+
+        // The old continuation stays on the server as a sibling branch
+        while (messageEl.nextElementSibling) {
+            messageEl.nextElementSibling.remove();
+        }
+        messageEl.remove();
+
+        const userMessage = {
+            clientId: Utils.generateId(),
+            role: 'user',
+            content,
+            timestamp: new Date().toISOString(),
+            parentId: original.parentId,
+            ...(original.attachments && { attachments: original.attachments })
+        };
+
+        const newMessageEl = this.addMessageToUI(userMessage);
+        this.bindFailedMessageActions(newMessageEl, userMessage, this.currentChatId);
+
+        await this.deliverMessage(this.currentChatId, userMessage, newMessageEl);
+    }
+
+    /**
+     * Handle send message
+     */
+    async handleSendMessage() {
+        const message = this.messageInput.value.trim();
+        
+        if ((!message && !Attachments.hasPending()) || this.isLoading) return;
+
+        if (!Attachments.hasPending() && Commands.execute(message)) return;
+        
+        if (!this.currentChatId) {
+            UI.showToast('Please select or create a chat first', 'warning');
+            return;
+        }
+
+        if (message.length > CONFIG.UI.MAX_MESSAGE_LENGTH) {
+            UI.showToast('Message is too long', 'warning');
+            return;
+        }
+
+        if (Attachments.getImages().length > 0 && !Attachments.canSendImages()) {
+            UI.showToast(`${this.getChatSettings(this.getCurrentChat()).model} cannot read images. Remove them or pick a vision model with /model.`, 'warning');
+            return;
+        }
 
-        this.isLoading = true;
-        this.disableInput();
-        
         // Clear input
+        const attachments = Attachments.take();
         this.messageInput.value = '';
         this.handleInputChange();
         Utils.autoResizeTextarea(this.messageInput);
 
+        // Add user message to UI immediately; the client id doubles as the
+        // idempotency key so a retry never stores the message twice
+        const userMessage = {
+            clientId: Utils.generateId(),
+            role: 'user',
+            content: message,
+            timestamp: new Date().toISOString(),
+            ...(attachments.length > 0 && { attachments })
+        };
+        
+        const chatId = this.currentChatId;
+        const messageEl = this.addMessageToUI(userMessage);
+        this.bindFailedMessageActions(messageEl, userMessage, chatId);
+
+        // Offline, or behind messages already waiting in this chat - keep the order.
+        // A draft chat is left to deliverMessage, which waits for the server to create it
+        const shouldQueue = !this.isDraftChat(chatId)
+            && (!navigator.onLine || await this.hasQueuedMessages(chatId));
+        if (shouldQueue && await this.queueMessage(chatId, userMessage, messageEl)) {
+            return;
+        }
+        
+        await this.deliverMessage(chatId, userMessage, messageEl);
+    }
+
+    /**
+     * Send an optimistic user message and stream the reply, tracking its delivery state
+     * @param {string} chatId - Chat ID, or a draft ID that is sent once the chat is created
+     * @param {Object} userMessage - User message with `clientId`
+     * @param {HTMLElement} messageEl - The user message bubble
+     * @returns {Promise<boolean>} Whether the message reached the server
+     */
+    async deliverMessage(chatId, userMessage, messageEl) {
+        this.isLoading = true;
+        this.abortController = new AbortController();
+        this.disableInput();
+        this.setSendButtonMode(true);
+        this.setMessageStatus(messageEl, 'sending');
+
         try {
-            // Add user message to UI immediately
-            const userMessage = {
-                role: 'user',
-                content: message,
-                timestamp: new Date().toISOString()
-            };
-            
-            this.addMessageToUI(userMessage);
-            
             // Show typing indicator
             this.typingIndicator = UI.showTypingIndicator(this.messagesContainer);
+
+            // Hold the send until the server has acknowledged a new chat
+            chatId = await this.resolveChatId(chatId);
             
-            // Send message to API with retry for KV propagation
-            let response;
-            let retryCount = 0;
-            const maxRetries = 3;
-            
-            while (retryCount < maxRetries) {
-                try {
-                    response = await API.sendMessage(this.currentChatId, message);
-                    break; // Success, exit retry loop
-                } catch (error) {
-                    if (error.message === 'Chat not found' && retryCount < maxRetries - 1) {
-                        retryCount++;
-                        UI.showToast(`Waiting for chat sync... (${retryCount}/${maxRetries})`, 'info');
-                        // Wait 2 seconds before retry
-                        await new Promise(resolve => setTimeout(resolve, 2000));
-                    } else {
-                        throw error; // Re-throw if it's not a chat not found error or max retries reached
-                    }
-                }
-            }
+            const response = await this.streamAssistantReply(API.streamMessage(chatId, userMessage.content, {
+                signal: this.abortController.signal,
+                idempotencyKey: userMessage.clientId,
+                parentId: userMessage.parentId,
+                attachments: userMessage.attachments
+            }));
             
             // Remove typing indicator
             UI.hideTypingIndicator(this.typingIndicator);
             
-            // Add assistant response
-            if (response.reply) {
-                const assistantMessage = {
-                    role: 'assistant',
-                    content: response.reply,
-                    timestamp: new Date().toISOString()
-                };
-                
-                this.addMessageToUI(assistantMessage);
+            if (response.interrupted) {
+                // Stopped before any text arrived - leave it retryable
+                if (!response.reply) {
+                    this.setMessageStatus(messageEl, 'failed');
+                    return false;
+                }
+                this.recordInterruptedReply(chatId, userMessage, response.reply);
             }
             
+            this.setMessageStatus(messageEl, 'sent');
+            this.removeQueuedMessage(chatId, userMessage.clientId);
+            
             // Update chat data
             if (response.chat) {
-                this.chats.set(this.currentChatId, response.chat);
-                this.updateChatHeader(response.chat);
+                const chat = this.trackWrite(response.chat);
+                if (chatId === this.currentChatId) {
+                    this.currentChat = chat;
+                    this.updateChatHeader(chat);
+
+                    // Redraw with server ids so the new messages get their edit and branch controls
+                    if (response.chat.messages) {
+                        this.renderMessages(chat);
+                    }
+                }
                 this.renderChatList();
+                this.broadcastChatChange('upsert', response.chat);
             }
-            
+
+            this.autoTitleChat(chatId, userMessage);
+
+            return true;
         } catch (error) {
-            console.error('Failed to send message:', error);
-            UI.showToast(error.message || 'Failed to send message', 'error');
-            
             // Remove typing indicator
             UI.hideTypingIndicator(this.typingIndicator);
+
+            // Lost the connection - hold the message until it comes back
+            if (error.code === 'NETWORK_ERROR' && !this.isDraftChat(chatId)
+                && await this.queueMessage(chatId, userMessage, messageEl)) {
+                UI.showToast('Connection lost. Your message will be sent when you are back online.', 'warning');
+                return false;
+            }
+
+            console.error('Failed to send message:', error);
+            UI.showToast(ApiError.getUserMessage(error), 'error');
+            this.setMessageStatus(messageEl, 'failed');
+            return false;
         } finally {
             this.isLoading = false;
+            this.abortController = null;
+            this.setSendButtonMode(false);
             this.enableInput();
             this.messageInput.focus();
         }
     }
 
     /**
-     * Clear current chat
+     * Update the delivery state shown on a user message bubble
+     * @param {HTMLElement} messageEl - User message element
+     * @param {string} status - One of sending, sent or failed
      */
-    async clearCurrentChat() {
-        if (!this.currentChatId) return;
+    setMessageStatus(messageEl, status) {
+        const contentEl = messageEl?.querySelector('.message-content');
+        if (!contentEl) return;
+
+        let statusEl = contentEl.querySelector('.message-status');
+        if (!statusEl) {
+            statusEl = document.createElement('div');
+            statusEl.className = 'message-status';
+            contentEl.appendChild(statusEl);
+        }
+
+        messageEl.dataset.status = status;
+        messageEl.classList.toggle('failed', status === 'failed');
+        messageEl.classList.toggle('queued', status === 'queued');
+
+        if (status === 'sending') {
+            statusEl.innerHTML = '<i class="fas fa-circle-notch fa-spin"></i> Sending';
+        } else if (status === 'sent') {
+            statusEl.innerHTML = '<i class="fas fa-check"></i>';
+        } else if (status === 'failed') {
+            statusEl.innerHTML = `
+                <span class="message-status-error"><i class="fas fa-exclamation-circle"></i> Not delivered</span>
+                <button class="message-action" data-action="retry"><i class="fas fa-redo"></i> Retry</button>
+                <button class="message-action" data-action="edit"><i class="fas fa-pen"></i> Edit</button>
+                <button class="message-action" data-action="discard"><i class="fas fa-times"></i> Discard</button>
+            `;
+        } else if (status === 'queued') {
+            statusEl.innerHTML = `
+                <span class="message-status-queued"><i class="fas fa-clock"></i> Queued</span>
+                <button class="message-action" data-action="edit"><i class="fas fa-pen"></i> Edit</button>
+                <button class="message-action" data-action="cancel"><i class="fas fa-times"></i> Cancel</button>
+            `;
+        }
+    }
+
+    /**
+     * Wire the Retry / Edit / Discard / Cancel buttons of an optimistic message
+     * @param {HTMLElement} messageEl - User message element
+     * @param {Object} userMessage - The message it displays
+     * @param {string} chatId - Chat or draft ID the message was written in
+     */
+    bindFailedMessageActions(messageEl, userMessage, chatId) {
+        messageEl?.addEventListener('click', (event) => {
+            const action = event.target.closest('.message-status [data-action]')?.dataset.action;
+            if (action) {
+                this.handleFailedMessageAction(messageEl, userMessage, chatId, action);
+            }
+        });
+    }
+
+    /**
+     * Handle Retry / Edit / Discard on a failed message, or Edit / Cancel on a queued one
+     * @param {HTMLElement} messageEl - Undelivered user message element
+     * @param {Object} userMessage - The message it displays
+     * @param {string} chatId - Chat or draft ID the message was written in, not necessarily the open one
+     * @param {string} action - Clicked action
+     */
+    async handleFailedMessageAction(messageEl, userMessage, chatId, action) {
+        if (this.isLoading) {
+            UI.showToast('Please wait for the current reply to finish', 'warning');
+            return;
+        }
+
+        if (action === 'retry') {
+            await this.deliverMessage(chatId, userMessage, messageEl);
+        } else if (action === 'edit') {
+            await this.removeQueuedMessage(chatId, userMessage.clientId);
+            messageEl.remove();
+            this.messageInput.value = userMessage.content;
+            Attachments.restore(userMessage.attachments);
+            this.handleInputChange();
+            Utils.autoResizeTextarea(this.messageInput);
+            this.messageInput.focus();
+        } else if (action === 'discard' || action === 'cancel') {
+            await this.removeQueuedMessage(chatId, userMessage.clientId);
+            await UI.animateOut(messageEl);
+            messageEl.remove();
+        }
+    }
+
+    /**
+     * Check whether a chat has messages waiting in the outbox
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<boolean>} Whether anything is queued
+     */
+    async hasQueuedMessages(chatId) {
+        try {
+            const entries = await Outbox.getForChat(API.activeProfileId, chatId);
+            return entries.some(entry => !entry.failed);
+        } catch (error) {
+            console.warn('Could not read the offline outbox:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Put a message in the offline outbox and mark it queued
+     * @param {string} chatId - Chat ID
+     * @param {Object} userMessage - User message with `clientId`
+     * @param {HTMLElement} messageEl - The user message bubble
+     * @returns {Promise<boolean>} Whether the message was queued
+     */
+    async queueMessage(chatId, userMessage, messageEl) {
+        try {
+            await Outbox.put({
+                clientId: userMessage.clientId,
+                profileId: API.activeProfileId,
+                chatId,
+                content: userMessage.content,
+                timestamp: userMessage.timestamp,
+                parentId: userMessage.parentId,
+                attachments: userMessage.attachments
+            });
+        } catch (error) {
+            console.error('Failed to queue message:', error);
+            return false;
+        }
+
+        this.setMessageStatus(messageEl, 'queued');
+        Sync.broadcast('outbox-changed', { chatId });
+        return true;
+    }
+
+    /**
+     * Take a message out of the offline outbox
+     * @param {string} chatId - Chat ID
+     * @param {string} clientId - Message client ID
+     */
+    async removeQueuedMessage(chatId, clientId) {
+        try {
+            await Outbox.remove(clientId);
+            Sync.broadcast('outbox-changed', { chatId });
+        } catch (error) {
+            console.warn('Could not update the offline outbox:', error);
+        }
+    }
+
+    /**
+     * Show the outbox messages of a chat below its transcript
+     * @param {string} chatId - Chat ID
+     */
+    async renderQueuedMessages(chatId) {
+        if (!chatId || !this.messagesContainer) return;
+
+        let entries;
+        try {
+            entries = await Outbox.getForChat(API.activeProfileId, chatId);
+        } catch (error) {
+            console.warn('Could not read the offline outbox:', error);
+            return;
+        }
+
+        // The user may have moved on while the outbox was read
+        if (chatId !== this.currentChatId) return;
+
+        this.messagesContainer.querySelectorAll('.message[data-status="queued"], .message[data-queued-failure]')
+            .forEach(el => el.remove());
+
+        if (entries.length === 0) return;
+        this.messagesContainer.querySelector('.empty-state')?.remove();
+
+        entries.forEach(entry => {
+            const userMessage = {
+                clientId: entry.clientId,
+                role: 'user',
+                content: entry.content,
+                timestamp: entry.timestamp,
+                parentId: entry.parentId,
+                attachments: entry.attachments
+            };
+
+            const messageEl = this.addMessageToUI(userMessage, false);
+            this.bindFailedMessageActions(messageEl, userMessage, chatId);
+            this.setMessageStatus(messageEl, entry.failed ? 'failed' : 'queued');
+            if (entry.failed) {
+                messageEl.dataset.queuedFailure = 'true';
+            }
+        });
+
+        UI.scrollToBottom(this.messagesContainer, true);
+    }
+
+    /**
+     * Deliver queued messages in the order they were written
+     */
+    async flushOutbox() {
+        if (this.isFlushingOutbox || !navigator.onLine || !API.isAuthenticated()) return;
+
+        this.isFlushingOutbox = true;
+
+        try {
+            // One tab delivers at a time so a message is never sent twice
+            if (navigator.locks) {
+                await navigator.locks.request(CONFIG.OUTBOX.LOCK_NAME, () => this.deliverQueuedMessages());
+            } else {
+                await this.deliverQueuedMessages();
+            }
+        } catch (error) {
+            console.error('Failed to flush outbox:', error);
+        } finally {
+            this.isFlushingOutbox = false;
+        }
+    }
+
+    /**
+     * Send every queued message of the active profile, holding back a chat after a failure
+     */
+    async deliverQueuedMessages() {
+        const profileId = API.activeProfileId;
+        const stalledChats = new Set();
+        const attempted = new Set();
+
+        // Messages sent while this runs queue up behind the pending ones, so read again until none are left
+        while (true) {
+            // Failed messages wait for the user's Retry; later ones go ahead
+            const entries = (await Outbox.getAll(profileId)).filter(entry => !entry.failed
+                && !stalledChats.has(entry.chatId)
+                && !attempted.has(entry.clientId));
+            if (entries.length === 0) return;
+
+            for (const entry of entries) {
+                if (profileId !== API.activeProfileId || !navigator.onLine) return;
+                if (stalledChats.has(entry.chatId)) continue;
+
+                // Cancelled, edited or sent by another tab since the outbox was read
+                if (!await Outbox.get(entry.clientId)) continue;
+
+                attempted.add(entry.clientId);
+                const result = await this.deliverQueuedMessage(entry);
+                if (result === 'offline') return;
+                if (result === 'failed') {
+                    stalledChats.add(entry.chatId);
+                }
+            }
+        }
+    }
+
+    /**
+     * Send one queued message, streaming the reply when its chat is open
+     * @param {Object} entry - Queued message
+     * @returns {Promise<string>} One of sent, failed or offline
+     */
+    async deliverQueuedMessage(entry) {
+        const userMessage = {
+            clientId: entry.clientId,
+            role: 'user',
+            content: entry.content,
+            timestamp: entry.timestamp,
+            parentId: entry.parentId,
+            attachments: entry.attachments
+        };
+
+        const messageEl = entry.chatId === this.currentChatId
+            ? this.messagesContainer?.querySelector(`.message[data-client-id="${entry.clientId}"]`)
+            : null;
+
+        if (messageEl && !this.isLoading) {
+            const delivered = await this.deliverMessage(entry.chatId, userMessage, messageEl);
+            if (delivered) return 'sent';
+            if (messageEl.dataset.status === 'queued') return 'offline';
+
+            // Keep it retryable after a reload instead of losing it
+            await Outbox.put({ ...entry, failed: true });
+            messageEl.dataset.queuedFailure = 'true';
+            return 'failed';
+        }
+
+        try {
+            const response = await API.sendMessage(entry.chatId, entry.content, {
+                idempotencyKey: entry.clientId,
+                parentId: entry.parentId,
+                attachments: entry.attachments
+            });
+            await this.removeQueuedMessage(entry.chatId, entry.clientId);
+
+            if (response.chat) {
+                this.trackWrite(response.chat);
+                this.renderChatList();
+                this.broadcastChatChange('upsert', response.chat);
+
+                if (entry.chatId === this.currentChatId && !this.isLoading && response.chat.messages) {
+                    this.currentChat = this.chats.get(entry.chatId);
+                    this.updateChatHeader(this.currentChat);
+                    this.renderMessages(this.currentChat);
+                }
+            }
+
+            this.autoTitleChat(entry.chatId, userMessage);
+
+            return 'sent';
+        } catch (error) {
+            if (error.code === 'NETWORK_ERROR') return 'offline';
+
+            await Outbox.put({ ...entry, failed: true });
+            Sync.broadcast('outbox-changed', { chatId: entry.chatId });
+            if (entry.chatId === this.currentChatId) {
+                this.renderQueuedMessages(entry.chatId);
+            }
+
+            UI.showToast(`A queued message could not be sent: ${ApiError.getUserMessage(error)}`, 'error');
+            return 'failed';
+        }
+    }
+
+    /**
+     * Record a stopped exchange in the local chat history
+     * @param {string} chatId - Chat ID
+     * @param {Object} userMessage - The user message that was sent
+     * @param {string} partialReply - Reply text received before stopping
+     */
+    recordInterruptedReply(chatId, userMessage, partialReply) {
+        const chat = this.chats.get(chatId);
+        if (!chat) return;
+
+        // Attach the exchange to the end of the selected branch unless it starts a new one
+        const leaf = this.getActivePath(chat).pop();
+        const parentId = userMessage.parentId !== undefined ? userMessage.parentId : (leaf?.id ?? null);
+
+        chat.messages = chat.messages || [];
+        chat.messages.push({ ...userMessage, parentId });
+
+        if (partialReply) {
+            chat.messages.push({
+                role: 'assistant',
+                content: partialReply,
+                timestamp: new Date().toISOString(),
+                model: this.getChatSettings(chat).model,
+                interrupted: true,
+                parentId: userMessage.clientId
+            });
+        }
+
+        chat.currentLeafId = this.getMessageTree(chat).pop().id;
+
+        chat.preview = Utils.generatePreview(userMessage.content || userMessage.attachments?.map(file => file.name).join(', ') || '');
+        this.recordLocalWrite(chat);
+        if (chatId === this.currentChatId) {
+            this.updateChatHeader(chat);
+        }
+        this.renderChatList();
+        this.broadcastChatChange('upsert', chat);
+    }
+
+    /**
+     * Stream the assistant reply into a single message bubble that grows as text arrives
+     * @param {AsyncGenerator} stream - Reply events from API.streamMessage or API.streamRegeneration
+     * @returns {Promise<Object>} Final response with reply and updated chat, or `{ interrupted: true, reply }` if stopped
+     */
+    async streamAssistantReply(stream) {
+        let messageEl = null;
+        let content = '';
+        let result = null;
+        let renderFrame = null;
+
+        try {
+            for await (const event of stream) {
+                if (event.type === 'delta') {
+                    content += event.content || '';
+
+                    if (!messageEl) {
+                        // First delta replaces the typing indicator with the reply bubble
+                        UI.hideTypingIndicator(this.typingIndicator);
+                        messageEl = this.addMessageToUI({
+                            role: 'assistant',
+                            content,
+                            timestamp: new Date().toISOString(),
+                            model: this.getChatSettings(this.chats.get(this.currentChatId)).model
+                        });
+                        messageEl?.classList.add('streaming');
+                    } else if (!renderFrame) {
+                        // Coalesce re-renders to one per frame
+                        renderFrame = requestAnimationFrame(() => {
+                            renderFrame = null;
+                            this.updateMessageContent(messageEl, content);
+                        });
+                    }
+                } else if (event.type === 'done') {
+                    result = event;
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                throw error;
+            }
+
+            // Stopped by the user - keep the partial reply and flag it
+            UI.hideTypingIndicator(this.typingIndicator);
+            if (messageEl) {
+                this.updateMessageContent(messageEl, content);
+                this.markMessageInterrupted(messageEl);
+            }
+            return { interrupted: true, reply: content };
+        } finally {
+            if (renderFrame) {
+                cancelAnimationFrame(renderFrame);
+            }
+            messageEl?.classList.remove('streaming');
+        }
+
+        const reply = result.reply ?? content;
+        if (messageEl) {
+            this.updateMessageContent(messageEl, reply);
+        } else if (reply) {
+            UI.hideTypingIndicator(this.typingIndicator);
+            this.addMessageToUI({
+                role: 'assistant',
+                content: reply,
+                timestamp: new Date().toISOString(),
+                model: this.getChatSettings(this.chats.get(this.currentChatId)).model
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Flag a message bubble as stopped before completion
+     * @param {HTMLElement} messageEl - Message element from addMessageToUI
+     */
+    markMessageInterrupted(messageEl) {
+        const contentEl = messageEl?.querySelector('.message-content');
+        if (!contentEl || contentEl.querySelector('.message-interrupted')) return;
+
+        messageEl.classList.add('interrupted');
+
+        const label = document.createElement('div');
+        label.className = 'message-interrupted';
+        label.innerHTML = '<i class="fas fa-stop-circle"></i> Stopped';
+        contentEl.insertBefore(label, contentEl.querySelector('.message-footer'));
+    }
 
-        const confirmed = await UI.confirm(
-            'Are you sure you want to clear all messages in this chat? This action cannot be undone.',
-            'Clear Chat'
-        );
+    /**
+     * Re-render the text of an existing message bubble
+     * @param {HTMLElement} messageEl - Message element from addMessageToUI
+     * @param {string} content - Full message content
+     */
+    updateMessageContent(messageEl, content) {
+        const textEl = messageEl?.querySelector('.message-text');
+        if (!textEl) return;
+
+        textEl.innerHTML = Utils.formatMessageText(content);
+        UI.scrollToBottom(this.messagesContainer);
+    }
 
-        if (!confirmed) return;
+    /**
+     * Clear current chat, keeping the messages in the trash
+     */
+    async clearCurrentChat() {
+        if (!this.currentChatId) return;
 
         try {
-            await API.clearChat(this.currentChatId);
+            const chatId = await this.resolveChatId(this.currentChatId);
+            const response = await API.clearChat(chatId);
             
             // Update UI
             if (this.messagesContainer) {
@@ -528,15 +2148,21 @@ class ChatManager {
             }
             
             // Update chat data
-            const chat = this.chats.get(this.currentChatId);
+            const chat = this.chats.get(chatId);
             if (chat) {
                 chat.messages = [];
                 chat.preview = '';
+                this.recordLocalWrite(chat);
                 this.updateChatHeader(chat);
                 this.renderChatList();
+                this.broadcastChatChange('upsert', chat);
             }
-            
-            UI.showToast('Chat cleared', 'success');
+
+            const trashedChatId = response?.data?.trashedChatId;
+            UI.showToast('Chat cleared', 'success', CONFIG.TRASH.UNDO_DURATION, trashedChatId && {
+                label: 'Undo',
+                run: () => Archive.restoreChat(trashedChatId)
+            });
         } catch (error) {
             console.error('Failed to clear chat:', error);
             UI.showToast('Failed to clear chat', 'error');
@@ -544,25 +2170,38 @@ class ChatManager {
     }
 
     /**
-     * Delete current chat
+     * Move the current chat to the trash
      */
     async deleteCurrentChat() {
         if (!this.currentChatId) return;
 
-        const confirmed = await UI.confirm(
-            'Are you sure you want to delete this chat? This action cannot be undone.',
-            'Delete Chat'
-        );
+        try {
+            const chatId = await this.resolveChatId(this.currentChatId);
+            await API.deleteChat(chatId);
+
+            await this.removeChatFromList(chatId);
+            UI.showToast('Chat moved to trash', 'success', CONFIG.TRASH.UNDO_DURATION, {
+                label: 'Undo',
+                run: () => Archive.restoreChat(chatId)
+            });
+        } catch (error) {
+            console.error('Failed to delete chat:', error);
+            UI.showToast('Failed to delete chat', 'error');
+        }
+    }
 
-        if (!confirmed) return;
+    /**
+     * Drop a chat that was archived or trashed from the list, opening another if it was current
+     * @param {string} chatId - Chat ID
+     */
+    async removeChatFromList(chatId) {
+        // Remove from local data; lagging reads may still list it for a while
+        this.chats.delete(chatId);
+        this.pendingWrites.set(chatId, { deleted: true, recordedAt: Date.now() });
+        this.broadcastChatChange('delete', { id: chatId });
 
-        try {
-            await API.deleteChat(this.currentChatId);
-            
-            // Remove from local data
-            this.chats.delete(this.currentChatId);
-            
-            // Find next chat to load
+        // Find next chat to load
+        if (chatId === this.currentChatId) {
             const remainingChats = Array.from(this.chats.values());
             if (remainingChats.length > 0) {
                 const nextChat = remainingChats.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
@@ -571,15 +2210,91 @@ class ChatManager {
                 this.currentChatId = null;
                 this.showWelcomeMessage();
             }
-            
+        }
+
+        this.renderChatList();
+    }
+
+    /**
+     * Put a chat restored from the archive or trash back in the list
+     * @param {Object} chat - Restored chat from the server
+     */
+    addRestoredChat(chat) {
+        const restored = this.trackWrite(chat);
+        this.renderChatList();
+        this.broadcastChatChange('upsert', restored);
+
+        // Undoing a clear brings the messages back into the open chat
+        if (restored.id === this.currentChatId && !this.isLoading) {
+            this.currentChat = restored;
+            this.updateChatHeader(restored);
+            if (restored.messages) {
+                this.renderMessages(restored);
+            }
+        }
+    }
+
+    /**
+     * Tell other tabs about a chat change
+     * @param {string} action - 'upsert' or 'delete'
+     * @param {Object} chat - Chat data (only `id` is needed for delete)
+     */
+    broadcastChatChange(action, chat) {
+        Sync.broadcast('chats-changed', { action, chat });
+    }
+
+    /**
+     * Apply a chat change made in another tab
+     * @param {Object} change - Change payload
+     * @param {string} change.action - 'upsert' or 'delete'
+     * @param {Object} change.chat - Chat data
+     */
+    async applyRemoteChatChange({ action, chat }) {
+        if (!chat?.id) return;
+
+        if (action === 'delete') {
+            this.chats.delete(chat.id);
+
+            if (chat.id === this.currentChatId) {
+                const remainingChats = Array.from(this.chats.values());
+                if (remainingChats.length > 0) {
+                    const nextChat = remainingChats.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+                    await this.loadChat(nextChat.id);
+                } else {
+                    this.showWelcomeMessage();
+                }
+            }
+
             this.renderChatList();
-            UI.showToast('Chat deleted', 'success');
-        } catch (error) {
-            console.error('Failed to delete chat:', error);
-            UI.showToast('Failed to delete chat', 'error');
+            return;
+        }
+
+        const merged = { ...this.chats.get(chat.id), ...chat };
+        this.chats.set(chat.id, merged);
+        this.renderChatList();
+
+        // Don't redraw under a reply that is still arriving here
+        if (chat.id === this.currentChatId && !this.isLoading) {
+            this.currentChat = merged;
+            this.updateChatHeader(merged);
+            if (chat.messages) {
+                this.renderMessages(merged);
+            }
         }
     }
 
+    /**
+     * Clear chat state so the next app-ready loads another profile's chats
+     */
+    resetForProfileSwitch() {
+        this.stopGenerating();
+        this.chats.clear();
+        this.pendingWrites.clear();
+        this.chatCreations.clear();
+        this.renderChatList();
+        this.showWelcomeMessage();
+    }
+
     /**
      * Show welcome message
      */
@@ -593,6 +2308,14 @@ class ChatManager {
         if (this.chatStatus) {
             this.chatStatus.textContent = 'Create a new chat to get started';
         }
+
+        if (this.chatSettingsBtn) {
+            this.chatSettingsBtn.classList.add('hidden');
+        }
+
+        if (this.chatPersona) {
+            this.chatPersona.classList.add('hidden');
+        }
         
         if (this.messagesContainer) {
             this.messagesContainer.innerHTML = `
@@ -630,6 +2353,7 @@ class ChatManager {
             this.messageInput.disabled = false;
             this.messageInput.placeholder = 'Type your message...';
         }
+        Attachments.setEnabled(true);
         this.handleInputChange();
     }
 
@@ -641,6 +2365,7 @@ class ChatManager {
             this.messageInput.disabled = true;
             this.messageInput.placeholder = 'Select a chat to start messaging...';
         }
+        Attachments.setEnabled(false);
         
         if (this.sendButton) {
             this.sendButton.disabled = true;
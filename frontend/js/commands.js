@@ -0,0 +1,235 @@
+/**
+ * Slash Commands Module for Nebula Chat
+ * Shows a completion popup for built-in commands and prompt templates when the composer starts with "/"
+ */
+
+class CommandMenu {
+    constructor() {
+        this.messageInput = null;
+        this.menu = null;
+        this.items = [];
+        this.activeIndex = 0;
+
+        this.builtIns = [
+            { name: 'new', description: 'Start a new chat', run: () => Chat.createNewChat() },
+            { name: 'clear', description: 'Clear the messages of this chat', run: () => Chat.clearCurrentChat() },
+            { name: 'title', usage: '/title <title>', description: 'Rename this chat', run: (arg) => Chat.renameCurrentChat(arg) },
+            { name: 'export', description: 'Download chats as Markdown, JSON, HTML or PDF', run: () => Exporter.openDialog() },
+            { name: 'import', description: 'Import chats from a Nebula or ChatGPT export', run: () => Importer.openFilePicker() },
+            { name: 'model', usage: '/model <model>', description: 'Change the model or settings of this chat', run: (arg) => Chat.setChatModel(arg) },
+            { name: 'templates', description: 'Create and edit prompt templates', run: () => Templates.openManager() }
+        ];
+
+        this.init();
+    }
+
+    /**
+     * Initialize command menu
+     */
+    init() {
+        this.messageInput = document.getElementById('message-input');
+        this.menu = document.getElementById('command-menu');
+
+        if (this.messageInput) {
+            this.messageInput.addEventListener('input', this.update.bind(this));
+            this.messageInput.addEventListener('blur', () => this.close());
+        }
+
+        if (this.menu) {
+            // Keep focus in the composer while picking with the mouse
+            this.menu.addEventListener('mousedown', (event) => event.preventDefault());
+            this.menu.addEventListener('click', (event) => {
+                const option = event.target.closest('[data-index]');
+                if (option) {
+                    this.select(this.items[Number(option.dataset.index)]);
+                }
+            });
+        }
+    }
+
+    /**
+     * Check whether the popup is showing
+     * @returns {boolean} Whether the popup is open
+     */
+    isOpen() {
+        return Boolean(this.menu && !this.menu.classList.contains('hidden'));
+    }
+
+    /**
+     * Check whether a command name belongs to a built-in command
+     * @param {string} name - Command name without the slash
+     * @returns {boolean} Whether it is built in
+     */
+    isBuiltIn(name) {
+        return this.builtIns.some(command => command.name === name);
+    }
+
+    /**
+     * Open, filter or close the popup as the composer text changes
+     */
+    update() {
+        // Only a lone command word opens the popup; "/title Foo" is run on send
+        const match = this.messageInput.value.match(/^\/([\w-]*)$/);
+        if (!match) {
+            this.close();
+            return;
+        }
+
+        const query = match[1].toLowerCase();
+        const commands = this.builtIns
+            .filter(command => command.name.startsWith(query))
+            .map(command => ({ type: 'command', command }));
+        const templates = Templates.getAll()
+            .filter(template => Templates.getCommand(template).includes(query) || template.name.toLowerCase().includes(query))
+            .map(template => ({ type: 'template', template }));
+
+        this.items = [...commands, ...templates];
+        this.activeIndex = 0;
+
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Render the popup options
+     */
+    render() {
+        this.menu.innerHTML = this.items.map((item, index) => {
+            const label = item.type === 'command'
+                ? item.command.usage || `/${item.command.name}`
+                : `/${Templates.getCommand(item.template)}`;
+            const description = item.type === 'command'
+                ? item.command.description
+                : Utils.generatePreview(item.template.content, 60);
+            const icon = item.type === 'command' ? 'fa-terminal' : 'fa-file-alt';
+
+            return `
+                <div class="command-option${index === this.activeIndex ? ' active' : ''}" role="option" data-index="${index}" aria-selected="${index === this.activeIndex}">
+                    <i class="fas ${icon}"></i>
+                    <span class="command-label">${Utils.escapeHtml(label)}</span>
+                    <span class="command-description">${Utils.escapeHtml(description)}</span>
+                </div>
+            `;
+        }).join('');
+
+        this.menu.classList.remove('hidden');
+        this.menu.querySelector('.command-option.active')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Close the popup
+     */
+    close() {
+        if (!this.menu) return;
+
+        this.menu.classList.add('hidden');
+        this.menu.innerHTML = '';
+        this.items = [];
+    }
+
+    /**
+     * Navigate the popup from the composer
+     * @param {KeyboardEvent} event - Keydown event from the composer
+     * @returns {boolean} Whether the popup handled the key
+     */
+    handleKeyDown(event) {
+        if (!this.isOpen()) return false;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + this.items.length) % this.items.length;
+            this.render();
+            return true;
+        }
+
+        if ((event.key === 'Enter' && !event.shiftKey) || event.key === 'Tab') {
+            event.preventDefault();
+            this.select(this.items[this.activeIndex]);
+            return true;
+        }
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Run a command or insert a template picked from the popup
+     * @param {Object} item - Popup item
+     */
+    select(item) {
+        if (!item) return;
+
+        this.close();
+
+        if (item.type === 'command') {
+            this.setInput('');
+            item.command.run('');
+        } else {
+            this.insertTemplate(item.template);
+        }
+    }
+
+    /**
+     * Run text typed into the composer as a command, if it is one
+     * @param {string} text - Composer text
+     * @returns {boolean} Whether the text was handled as a command
+     */
+    execute(text) {
+        const match = text.match(/^\/([\w-]+)(?:\s+([\s\S]*))?$/);
+        if (!match) return false;
+
+        const [, name, arg = ''] = match;
+        const command = this.builtIns.find(candidate => candidate.name === name.toLowerCase());
+        if (command) {
+            this.close();
+            this.setInput('');
+            command.run(arg.trim());
+            return true;
+        }
+
+        const template = Templates.findByCommand(name);
+        if (template) {
+            this.close();
+            this.insertTemplate(template);
+            return true;
+        }
+
+        // Unknown commands are sent as ordinary messages
+        return false;
+    }
+
+    /**
+     * Fill in a template's variables and put the result in the composer
+     * @param {Object} template - Template
+     */
+    async insertTemplate(template) {
+        const text = await Templates.fill(template);
+        this.setInput(text ?? '');
+    }
+
+    /**
+     * Replace the composer text and refresh its counters
+     * @param {string} text - New composer text
+     */
+    setInput(text) {
+        this.messageInput.value = text;
+        Chat.handleInputChange();
+        Utils.autoResizeTextarea(this.messageInput);
+        this.messageInput.focus();
+    }
+}
+
+// Initialize command menu
+document.addEventListener('DOMContentLoaded', () => {
+    window.Commands = new CommandMenu();
+});
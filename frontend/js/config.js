@@ -7,7 +7,12 @@ const CONFIG = {
     ENDPOINTS: {
         AUTH: '/api/auth',
         CHATS: '/api/chats',
-        MESSAGES: '/api/messages'
+        MESSAGES: '/api/messages',
+        PERSONAS: '/api/personas',
+        TEMPLATES: '/api/templates',
+        SEARCH: '/api/search',
+        SHARES: '/api/shares',
+        PUBLIC_SHARES: '/api/public/shares' // Read without a token by the share viewer
     },
     
     // UI settings
@@ -15,21 +20,144 @@ const CONFIG = {
         MAX_MESSAGE_LENGTH: 4000,
         AUTO_SCROLL_THRESHOLD: 100,
         TYPING_INDICATOR_DELAY: 1000,
-        TOAST_DURATION: 3000
+        TOAST_DURATION: 3000,
+        THEMES: ['dark', 'light'],
+        THEME_STORAGE_KEY: 'nebula_theme'
     },
     
     // Chat settings
     CHAT: {
+        DEFAULT_TITLE: 'New Chat', // Chats with this title get one generated after the first exchange
         MAX_CHAT_TITLE_LENGTH: 50,
         MAX_CHATS_DISPLAY: 20,
-        AUTO_SAVE_INTERVAL: 5000
+        AUTO_SAVE_INTERVAL: 5000,
+        PENDING_WRITE_TTL: 60000 // Stop preferring local writes over server reads after this long
+    },
+    
+    // Models offered per chat, and the settings the backend uses when a chat has none
+    MODELS: {
+        OPTIONS: ['gpt-3.5-turbo', 'gpt-4o-mini', 'gpt-4o', 'gpt-4-turbo'],
+        // Models that accept image parts
+        VISION: ['gpt-4o-mini', 'gpt-4o', 'gpt-4-turbo'],
+        DEFAULTS: {
+            model: 'gpt-3.5-turbo',
+            temperature: 0.7,
+            maxTokens: 1000,
+            topP: 1
+        },
+        MAX_TOKENS_LIMIT: 4096
+    },
+    
+    // Persona editor limits and the icons a persona can use
+    PERSONAS: {
+        ICONS: ['fa-robot', 'fa-user-tie', 'fa-code', 'fa-feather-alt', 'fa-graduation-cap', 'fa-flask', 'fa-language', 'fa-lightbulb'],
+        MAX_NAME_LENGTH: 40,
+        MAX_PROMPT_LENGTH: 4000
+    },
+    
+    // Prompt template editor limits
+    TEMPLATES: {
+        MAX_NAME_LENGTH: 40
+    },
+    
+    // Text files that can be attached to a message
+    ATTACHMENTS: {
+        MAX_FILES: 5,
+        MAX_FILE_SIZE: 100 * 1024,
+        MAX_TOTAL_SIZE: 256 * 1024,
+        TEXT_EXTENSIONS: [
+            'txt', 'log', 'md', 'markdown', 'csv', 'tsv', 'json', 'jsonl', 'xml', 'yaml', 'yml', 'toml', 'ini', 'env',
+            'js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'hpp', 'cs',
+            'php', 'swift', 'sh', 'bash', 'sql', 'html', 'css', 'scss', 'vue', 'svelte'
+        ],
+        TEXT_MIME_TYPES: ['application/json', 'application/xml', 'application/x-yaml', 'application/javascript', 'application/x-sh', 'application/sql'],
+        // Images are downscaled in the browser before they are sent
+        IMAGE_MIME_TYPES: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'],
+        MAX_IMAGES: 4,
+        IMAGE_MAX_DIMENSION: 1568,
+        IMAGE_QUALITY: 0.85,
+        MAX_IMAGE_SIZE: 1024 * 1024
+    },
+    
+    // Message search
+    SEARCH: {
+        MIN_QUERY_LENGTH: 2,
+        DEBOUNCE_DELAY: 300,
+        RESULT_LIMIT: 30
+    },
+    
+    // Pinning, folders and tags in the sidebar
+    ORGANIZE: {
+        MAX_FOLDER_NAME_LENGTH: 40,
+        MAX_TAGS: 8,
+        MAX_TAG_LENGTH: 20,
+        TAG_COLORS: ['#ef4444', '#f59e0b', '#eab308', '#10b981', '#06b6d4', '#3b82f6', '#8b5cf6', '#ec4899'],
+        COLLAPSED_STORAGE_KEY: 'nebula_collapsed_folders'
+    },
+    
+    // Archive and trash
+    TRASH: {
+        RETENTION_DAYS: 30, // The server purges trashed chats after this long
+        UNDO_DURATION: 8000
+    },
+    
+    // Importing chats from JSON exports
+    IMPORT: {
+        MAX_FILE_SIZE: 200 * 1024 * 1024, // ChatGPT archives of several years run to tens of megabytes
+        MAX_MESSAGES: 2000 // The server rejects larger chats
+    },
+    
+    // Read-only share links
+    SHARE: {
+        VIEWER_PATH: 'share.html'
+    },
+    
+    // Command palette
+    PALETTE: {
+        SECTIONS: ['Actions', 'Chats', 'Settings'],
+        MAX_RESULTS: 50,
+        MAX_RECENT: 8,
+        RECENT_STORAGE_KEY: 'nebula_palette_recent'
+    },
+    
+    // Retry policy for transient failures (429/502/503 and network errors)
+    RETRY: {
+        BASE_DELAY: 1000,
+        MAX_DELAY: 30000,
+        RETRYABLE_STATUS: [429, 502, 503],
+        // Other methods are only retried with an Idempotency-Key, since a failed attempt may already have been applied
+        IDEMPOTENT_METHODS: ['GET', 'PUT', 'PATCH', 'DELETE'],
+        // Maximum retries per endpoint, first matching pattern wins
+        BUDGETS: [
+            { pattern: /^\/api\/chats\/[^/]+\/messages/, retries: 2 },
+            { pattern: /^\/api\/(auth|refresh|logout|register)/, retries: 0 },
+            { pattern: /^\/api\/health/, retries: 0 },
+            { pattern: /.*/, retries: 3 }
+        ]
+    },
+    
+    // Cross-tab coordination
+    SYNC: {
+        CHANNEL_NAME: 'nebula_sync',
+        LEADER_LOCK_NAME: 'nebula_leader',
+        REFRESH_REQUEST_TIMEOUT: 10000 // Refresh ourselves if the leader tab doesn't answer
+    },
+    
+    // Offline outbox for messages written without a connection
+    OUTBOX: {
+        DB_NAME: 'nebula_outbox',
+        DB_VERSION: 1,
+        STORE_NAME: 'messages',
+        LOCK_NAME: 'nebula_outbox_flush'
     },
     
     // Security settings
     SECURITY: {
         TOKEN_STORAGE_KEY: 'nebula_token',
+        PROFILES_STORAGE_KEY: 'nebula_profiles',
         SESSION_STORAGE_KEY: 'nebula_session',
-        TOKEN_REFRESH_INTERVAL: 3600000 // 1 hour
+        TOKEN_REFRESH_INTERVAL: 3600000, // Assumed token lifetime when the server doesn't say (1 hour)
+        TOKEN_REFRESH_MARGIN: 60000 // Refresh this long before the access token expires
     }
 };
 
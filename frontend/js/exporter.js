@@ -0,0 +1,463 @@
+/**
+ * Export Module for Nebula Chat
+ * Downloads chats as Markdown, JSON or standalone HTML, or prints them for Save as PDF
+ */
+
+class ChatExporter {
+    constructor() {
+        this.exportChatBtn = null;
+
+        this.formats = {
+            markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+            json: { label: 'JSON (complete, can be imported)', extension: 'json', type: 'application/json' },
+            html: { label: 'HTML page', extension: 'html', type: 'text/html' },
+            print: { label: 'Print or save as PDF' }
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize chat exporter
+     */
+    init() {
+        this.exportChatBtn = document.getElementById('export-chat-btn');
+
+        if (this.exportChatBtn) {
+            this.exportChatBtn.addEventListener('click', () => this.openDialog());
+        }
+
+        Palette.register({
+            id: 'export-chat',
+            title: 'Export Chats',
+            subtitle: 'Markdown, JSON, HTML or PDF',
+            section: 'Actions',
+            icon: 'fa-download',
+            keywords: 'markdown json html pdf print download save',
+            run: () => this.openDialog()
+        });
+
+        Palette.register({
+            id: 'print-chat',
+            title: 'Print Chat',
+            section: 'Actions',
+            icon: 'fa-print',
+            keywords: 'pdf',
+            when: () => Boolean(Chat.currentChatId),
+            run: () => this.exportChats([Chat.currentChatId], 'print')
+        });
+    }
+
+    /**
+     * Ask for a format and the chats to export, starting with the current chat selected
+     * @param {string} format - Format to preselect
+     */
+    async openDialog(format = 'markdown') {
+        const chats = Array.from(Chat.chats.values())
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+        if (chats.length === 0) {
+            UI.showToast('There are no chats to export yet', 'warning');
+            return;
+        }
+
+        const values = await UI.form('Export Chats', `
+            <div class="form-group">
+                <span class="form-label">Format</span>
+                <div class="export-formats">
+                    ${Object.entries(this.formats).map(([key, { label }]) => `
+                        <label class="form-checkbox">
+                            <input type="radio" name="format" value="${key}" ${key === format ? 'checked' : ''}>
+                            ${Utils.escapeHtml(label)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="form-group">
+                <span class="form-label">Chats</span>
+                <div class="export-chat-list">
+                    ${chats.map(chat => `
+                        <label class="form-checkbox">
+                            <input type="checkbox" name="chat:${Utils.escapeHtml(chat.id)}" ${chat.id === Chat.currentChatId ? 'checked' : ''}>
+                            ${Utils.escapeHtml(chat.title)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `, 'Export');
+        if (!values) return;
+
+        const chatIds = Object.keys(values)
+            .filter(name => name.startsWith('chat:'))
+            .map(name => name.slice('chat:'.length));
+
+        if (chatIds.length === 0) {
+            UI.showToast('Select at least one chat to export', 'warning');
+            return;
+        }
+
+        await this.exportChats(chatIds, values.format);
+    }
+
+    /**
+     * Export chats in a format
+     * @param {Array<string>} chatIds - Chats in the order they should appear
+     * @param {string} format - 'markdown', 'json', 'html' or 'print'
+     */
+    async exportChats(chatIds, format) {
+        try {
+            const chats = await this.loadChats(chatIds);
+
+            if (format === 'print') {
+                await this.print(chats);
+                return;
+            }
+
+            let content;
+            if (format === 'html') {
+                // Embedding the fonts takes a few downloads
+                UI.showLoading('Preparing export...');
+                content = await this.toHtml(chats).finally(() => UI.hideLoading());
+            } else {
+                content = format === 'json' ? this.toJson(chats) : this.toMarkdown(chats);
+            }
+
+            const { extension, type } = this.formats[format];
+            this.download(content, this.getFilename(chats, extension), type);
+        } catch (error) {
+            console.error('Failed to export chats:', error);
+            UI.showToast(`Failed to export: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Get full chats, fetching messages for chats that only have their summary loaded
+     * @param {Array<string>} chatIds - Chat IDs
+     * @returns {Promise<Array>} Chats with messages
+     */
+    async loadChats(chatIds) {
+        return Promise.all(chatIds.map(async chatId => {
+            const chat = Chat.chats.get(chatId);
+            if (chat?.messages || Chat.isDraftChat(chatId)) {
+                return { messages: [], ...chat };
+            }
+            return API.getChat(chatId);
+        }));
+    }
+
+    /**
+     * Render chats as Markdown, keeping code fences and math exactly as written
+     * @param {Array} chats - Chats with messages
+     * @returns {string} Markdown document
+     */
+    toMarkdown(chats) {
+        return chats.map(chat => {
+            const settings = Chat.getChatSettings(chat);
+            const messages = Chat.getActivePath(chat).map(message => {
+                const author = message.role === 'user'
+                    ? 'You'
+                    : `Assistant${message.model ? ` (${message.model})` : ''}`;
+                const parts = [`## ${author} · ${new Date(message.timestamp).toLocaleString()}`];
+
+                if (message.content) {
+                    parts.push(message.content);
+                }
+                (message.attachments || []).forEach(attachment => {
+                    parts.push(this.renderAttachmentMarkdown(attachment));
+                });
+                if (message.interrupted) {
+                    parts.push('_Reply stopped before it finished._');
+                }
+
+                return parts.join('\n\n');
+            });
+
+            return [
+                `# ${chat.title}`,
+                `_Exported from Nebula Chat on ${new Date().toLocaleString()} · ${settings.model}_`,
+                ...messages
+            ].join('\n\n');
+        }).join('\n\n---\n\n') + '\n';
+    }
+
+    /**
+     * Render an attachment for Markdown: files as fenced code, images inline
+     * @param {Object} attachment - Message attachment
+     * @returns {string} Markdown
+     */
+    renderAttachmentMarkdown(attachment) {
+        if (attachment.type === 'image') {
+            return `![${attachment.name.replace(/[[\]]/g, '')}](${attachment.dataUrl})`;
+        }
+
+        // The fence has to be longer than any run of backticks in the file
+        const longestRun = Math.max(0, ...(attachment.content.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        const language = attachment.name.includes('.') ? attachment.name.split('.').pop().toLowerCase() : '';
+
+        return `**${attachment.name}**\n\n${fence}${language}\n${attachment.content}\n${fence}`;
+    }
+
+    /**
+     * Serialize chats losslessly, with every branch, as the chat objects of API.md
+     * @param {Array} chats - Chats with messages
+     * @returns {string} JSON text; one chat object, or an array for several
+     */
+    toJson(chats) {
+        return JSON.stringify(chats.length === 1 ? chats[0] : chats, null, 2);
+    }
+
+    /**
+     * Render chats as a standalone page with the app's styles and math already rendered
+     * @param {Array} chats - Chats with messages
+     * @param {Object} options - `print` switches to a light layout meant for paper
+     * @returns {Promise<string>} HTML document
+     */
+    async toHtml(chats, { print = false } = {}) {
+        const title = chats.length === 1 ? chats[0].title : 'Nebula Chat export';
+        const theme = print ? 'light' : UI.getTheme();
+
+        // A printed page is rendered right here and online, so it can link the CDNs like the app does
+        const remoteStyles = print ? this.getRemoteLinks() : await this.getRemoteStyles();
+
+        return `<!DOCTYPE html>
+<html lang="en" data-theme="${theme}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${Utils.escapeHtml(title)}</title>
+    ${remoteStyles}
+    <style>
+${this.getStyles()}
+${this.getExportStyles(print)}
+    </style>
+</head>
+<body class="export-page${print ? ' export-print' : ''}">
+${chats.map(chat => this.renderHtmlChat(chat)).join('\n')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render one chat for the HTML export
+     * @param {Object} chat - Chat with messages
+     * @returns {string} Chat HTML
+     */
+    renderHtmlChat(chat) {
+        const persona = Personas.get(chat.personaId);
+        const avatarStyle = persona ? ` style="background: ${Utils.generateColor(persona.id)}; color: var(--text-primary);"` : '';
+
+        const messages = Chat.getActivePath(chat).map(message => `
+            <div class="message ${message.role}">
+                <div class="message-avatar"${message.role === 'assistant' ? avatarStyle : ''}>
+                    <i class="fas ${message.role === 'user' ? 'fa-user' : Utils.escapeHtml(persona?.icon || 'fa-robot')}"></i>
+                </div>
+                <div class="message-content">
+                    ${message.role === 'assistant' && message.model ? `<div class="message-model">${Utils.escapeHtml(message.model)}</div>` : ''}
+                    <div class="message-text">${Utils.formatMessageText(message.content || '')}</div>
+                    ${Attachments.renderCards(message.attachments)}
+                    <div class="message-footer">
+                        <div class="message-time">${Utils.escapeHtml(new Date(message.timestamp).toLocaleString())}</div>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        return `
+<article class="export-chat">
+    <header class="export-chat-header">
+        <h1>${Utils.escapeHtml(chat.title)}</h1>
+        <p>${persona ? `${Utils.escapeHtml(persona.name)} · ` : ''}${Utils.escapeHtml(Chat.getChatSettings(chat).model)} · exported ${Utils.escapeHtml(new Date().toLocaleString())}</p>
+    </header>
+    <div class="messages">${messages}</div>
+</article>`;
+    }
+
+    /**
+     * Collect the rules of the app's own stylesheets
+     * @returns {string} CSS text
+     */
+    getStyles() {
+        return Array.from(document.styleSheets)
+            .filter(sheet => !sheet.href || new URL(sheet.href).origin === window.location.origin)
+            .map(sheet => Array.from(sheet.cssRules, rule => rule.cssText).join('\n'))
+            .join('\n');
+    }
+
+    /**
+     * Get the stylesheets the app loads from CDNs: fonts, icons and KaTeX
+     * @returns {Array<string>} Stylesheet URLs
+     */
+    getRemoteStylesheets() {
+        return Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+            .filter(link => /^https?:/.test(link.getAttribute('href')))
+            .map(link => link.href);
+    }
+
+    /**
+     * Link the CDN stylesheets
+     * @returns {string} Link tags
+     */
+    getRemoteLinks() {
+        return this.getRemoteStylesheets()
+            .map(href => `<link rel="stylesheet" href="${Utils.escapeHtml(href)}" crossorigin="anonymous">`)
+            .join('\n    ');
+    }
+
+    /**
+     * Inline the CDN stylesheets and their fonts so the page works offline
+     * @returns {Promise<string>} Style tags, or link tags for sheets that could not be fetched
+     */
+    async getRemoteStyles() {
+        const styles = await Promise.all(this.getRemoteStylesheets().map(async href => {
+            try {
+                return `<style>\n${await this.inlineStylesheet(href)}\n    </style>`;
+            } catch (error) {
+                // The page still works online with the sheet linked
+                console.warn(`Failed to inline ${href}:`, error);
+                return `<link rel="stylesheet" href="${Utils.escapeHtml(href)}" crossorigin="anonymous">`;
+            }
+        }));
+        return styles.join('\n    ');
+    }
+
+    /**
+     * Fetch a stylesheet and embed the files it references as data URLs
+     * @param {string} href - Stylesheet URL
+     * @returns {Promise<string>} CSS text
+     */
+    async inlineStylesheet(href) {
+        let css = await (await this.fetchOk(href)).text();
+
+        // Keep only the WOFF2 source of each font, which every browser the app supports reads
+        css = css.replace(/src:\s*([^;}]+)/g, (match, sources) => {
+            const woff2 = sources.split(/,(?=\s*url\()/).find(source => source.includes('woff2'));
+            return woff2 ? `src:${woff2}` : match;
+        });
+
+        const urlPattern = /url\((['"]?)([^'")]+)\1\)/g;
+        const urls = [...new Set(Array.from(css.matchAll(urlPattern), match => match[2]))]
+            .filter(url => !url.startsWith('data:'));
+        const dataUrls = new Map(await Promise.all(urls.map(async url =>
+            [url, await this.toDataUrl(new URL(url, href).href)])));
+
+        return css.replace(urlPattern, (match, quote, url) =>
+            dataUrls.has(url) ? `url("${dataUrls.get(url)}")` : match);
+    }
+
+    /**
+     * Fetch a file as a data URL
+     * @param {string} url - File URL
+     * @returns {Promise<string>} Data URL
+     */
+    async toDataUrl(url) {
+        const blob = await (await this.fetchOk(url)).blob();
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Fetch a URL, failing on error statuses
+     * @param {string} url - URL
+     * @returns {Promise<Response>} Successful response
+     */
+    async fetchOk(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return response;
+    }
+
+    /**
+     * Layout for the exported page, and its print variant
+     * @param {boolean} print - Whether the page is for printing
+     * @returns {string} CSS text
+     */
+    getExportStyles(print) {
+        const base = `
+.export-page { height: auto; overflow: auto; }
+.export-chat { max-width: 860px; margin: 0 auto; padding: 32px 16px; }
+.export-chat-header { margin-bottom: 24px; }
+.export-chat-header p { color: var(--text-quaternary); font-size: var(--font-size-sm); }
+.export-chat .messages { overflow: visible; height: auto; padding: 0; }
+.export-chat .message-content:hover { transform: none; }
+.export-chat .message-time { opacity: 1; }
+.export-chat .file-card[open] pre, .export-chat .file-card pre { max-height: none; }
+`;
+        if (!print) return base;
+
+        return `${base}
+@page { margin: 15mm; }
+.export-print { background: #fff; color: #000; }
+.export-print::before { display: none; }
+.export-print .export-chat { padding: 0; max-width: none; }
+.export-print .export-chat + .export-chat { break-before: page; }
+.export-print .message { break-inside: avoid; animation: none; }
+.export-print .message-content { box-shadow: none; backdrop-filter: none; border: 1px solid #ddd; }
+.export-print .message.user .message-content { background: #f3f0ff; color: #000; }
+.export-print .message.user .message-text { color: #000; }
+.export-print pre, .export-print code { white-space: pre-wrap; word-break: break-word; }
+`;
+    }
+
+    /**
+     * Open the print dialog for chats from a hidden frame
+     * @param {Array} chats - Chats with messages
+     */
+    async print(chats) {
+        const frame = document.createElement('iframe');
+        frame.className = 'export-print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.srcdoc = await this.toHtml(chats, { print: true });
+
+        frame.addEventListener('load', () => {
+            // Give the linked fonts a moment so the first page isn't printed in a fallback font
+            frame.contentDocument.fonts.ready.then(() => {
+                frame.contentWindow.focus();
+                frame.contentWindow.print();
+                setTimeout(() => frame.remove(), 1000);
+            });
+        }, { once: true });
+
+        document.body.appendChild(frame);
+    }
+
+    /**
+     * Name an export after its chat, or after the date for several chats
+     * @param {Array} chats - Exported chats
+     * @param {string} extension - File extension
+     * @returns {string} File name
+     */
+    getFilename(chats, extension) {
+        const base = chats.length === 1
+            ? chats[0].title.replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-') || 'chat'
+            : `nebula-chats-${new Date().toISOString().slice(0, 10)}`;
+        return `${base}.${extension}`;
+    }
+
+    /**
+     * Save text as a file
+     * @param {string} content - File content
+     * @param {string} filename - File name
+     * @param {string} type - MIME type
+     */
+    download(content, filename, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+}
+
+// Initialize chat exporter
+document.addEventListener('DOMContentLoaded', () => {
+    window.Exporter = new ChatExporter();
+});
@@ -0,0 +1,362 @@
+/**
+ * Import Module for Nebula Chat
+ * Reads Nebula and ChatGPT JSON exports and recreates their conversations as chats
+ */
+
+class ChatImporter {
+    constructor() {
+        this.importBtn = null;
+        this.fileInput = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize chat importer
+     */
+    init() {
+        this.importBtn = document.getElementById('import-chats-btn');
+        this.fileInput = document.getElementById('import-input');
+
+        if (this.importBtn) {
+            this.importBtn.addEventListener('click', () => this.openFilePicker());
+        }
+
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', async () => {
+                const [file] = this.fileInput.files;
+                // Allow picking the same file again
+                this.fileInput.value = '';
+                if (file) {
+                    await this.importFile(file);
+                }
+            });
+        }
+
+        Palette.register({
+            id: 'import-chats',
+            title: 'Import Chats',
+            subtitle: 'From a Nebula or ChatGPT JSON export',
+            section: 'Actions',
+            icon: 'fa-file-import',
+            keywords: 'upload chatgpt openai conversations json history',
+            run: () => this.openFilePicker()
+        });
+    }
+
+    /**
+     * Ask for an export file
+     */
+    openFilePicker() {
+        this.fileInput?.click();
+    }
+
+    /**
+     * Read an export, let the user pick conversations and import them
+     * @param {File} file - JSON export
+     */
+    async importFile(file) {
+        if (file.size > CONFIG.IMPORT.MAX_FILE_SIZE) {
+            UI.showToast(`${file.name} is larger than ${Utils.formatFileSize(CONFIG.IMPORT.MAX_FILE_SIZE)}`, 'warning');
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = this.parse(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            UI.showToast(`${file.name} is not a valid JSON file`, 'error');
+            return;
+        }
+
+        if (!parsed) {
+            UI.showToast(`${file.name} is not a Nebula or ChatGPT export`, 'error');
+            return;
+        }
+
+        const chats = await this.choose(parsed);
+        if (chats?.length) {
+            await this.run(chats);
+        }
+    }
+
+    /**
+     * Recognize an export and convert its conversations
+     * @param {Object|Array} data - Parsed JSON
+     * @returns {Object|null} `{ format, chats }`, or null for an unknown format
+     */
+    parse(data) {
+        const items = Array.isArray(data) ? data : [data];
+        if (items.length === 0 || !items.every(item => item && typeof item === 'object')) {
+            return null;
+        }
+
+        if (items.every(item => item.mapping && typeof item.mapping === 'object')) {
+            return { format: 'ChatGPT', chats: items.map(item => this.fromChatGpt(item)) };
+        }
+        if (items.every(item => typeof item.title === 'string' && Array.isArray(item.messages))) {
+            return { format: 'Nebula', chats: items.map(item => this.fromNebula(item)) };
+        }
+        return null;
+    }
+
+    /**
+     * Convert a chat from a Nebula JSON export, keeping every branch
+     * @param {Object} chat - Exported chat object
+     * @returns {Object} Chat for the import endpoint
+     */
+    fromNebula(chat) {
+        const messages = chat.messages
+            .filter(message => ['user', 'assistant'].includes(message.role) && typeof message.content === 'string')
+            .map(({ id, parentId, role, content, timestamp, interrupted, model, attachments }) =>
+                ({ id, parentId, role, content, timestamp, interrupted, model, attachments }));
+
+        return {
+            // Chats imported into Nebula before keep their original source, so re-imports still match
+            source: chat.importSource || `nebula:${chat.id}`,
+            title: chat.title.slice(0, CONFIG.CHAT.MAX_CHAT_TITLE_LENGTH),
+            createdAt: chat.createdAt,
+            updatedAt: chat.updatedAt,
+            messages,
+            currentLeafId: chat.currentLeafId,
+            settings: chat.settings,
+            personaId: Personas.get(chat.personaId) ? chat.personaId : undefined,
+            pinned: chat.pinned,
+            folder: chat.folder,
+            tags: chat.tags
+        };
+    }
+
+    /**
+     * Convert a conversation from a ChatGPT `conversations.json`, keeping every branch
+     * @param {Object} conversation - Conversation with its `mapping` of message nodes
+     * @returns {Object} Chat for the import endpoint
+     */
+    fromChatGpt(conversation) {
+        const nodes = conversation.mapping;
+        const createdAt = this.fromUnixTime(conversation.create_time) || new Date().toISOString();
+
+        const kept = new Map();
+        Object.entries(nodes).forEach(([nodeId, node]) => {
+            const message = this.fromChatGptMessage(node?.message, nodeId, createdAt);
+            if (message) {
+                kept.set(nodeId, message);
+            }
+        });
+
+        // System prompts and tool calls are dropped, so link each message to its closest kept ancestor
+        const closestKept = (nodeId) => {
+            const seen = new Set();
+            while (nodeId && !kept.has(nodeId) && !seen.has(nodeId)) {
+                seen.add(nodeId);
+                nodeId = nodes[nodeId]?.parent;
+            }
+            return kept.has(nodeId) ? nodeId : null;
+        };
+
+        const children = new Map();
+        kept.forEach((message, nodeId) => {
+            message.parentId = closestKept(nodes[nodeId].parent);
+            children.set(message.parentId, [...(children.get(message.parentId) || []), message]);
+        });
+
+        // Parents before children, siblings oldest first. Walked with a stack, since
+        // long conversations nest deeper than recursion allows
+        const messages = [];
+        const childrenNewestFirst = (parentId) => (children.get(parentId) || [])
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const stack = childrenNewestFirst(null);
+        while (stack.length > 0) {
+            const message = stack.pop();
+            messages.push(message);
+            stack.push(...childrenNewestFirst(message.id));
+        }
+
+        const title = (conversation.title || '').trim() || Utils.generateChatTitle(messages[0]?.content || '');
+
+        return {
+            source: `chatgpt:${conversation.conversation_id || conversation.id}`,
+            title: title.slice(0, CONFIG.CHAT.MAX_CHAT_TITLE_LENGTH),
+            createdAt,
+            updatedAt: this.fromUnixTime(conversation.update_time) || createdAt,
+            messages,
+            currentLeafId: closestKept(conversation.current_node) || undefined
+        };
+    }
+
+    /**
+     * Convert one ChatGPT message node, leaving out anything the user didn't see
+     * @param {Object} message - ChatGPT message
+     * @param {string} nodeId - ID of its node
+     * @param {string} fallbackTime - Timestamp for messages without one
+     * @returns {Object|null} Nebula message, or null to skip it
+     */
+    fromChatGptMessage(message, nodeId, fallbackTime) {
+        const role = message?.author?.role;
+        if (role !== 'user' && role !== 'assistant') return null;
+        if (message.metadata?.is_visually_hidden_from_conversation) return null;
+        // Assistant messages addressed to a tool are code and browsing calls
+        if (message.recipient && message.recipient !== 'all') return null;
+
+        const { content_type: type, parts = [] } = message.content || {};
+        if (type !== 'text' && type !== 'multimodal_text') return null;
+
+        // Uploaded images are only referenced by the export, so only the text is kept
+        const content = parts.filter(part => typeof part === 'string').join('\n\n').trim();
+        if (!content) return null;
+
+        return {
+            id: nodeId,
+            role,
+            content,
+            timestamp: this.fromUnixTime(message.create_time) || fallbackTime,
+            ...(role === 'assistant' && message.metadata?.model_slug && { model: message.metadata.model_slug })
+        };
+    }
+
+    /**
+     * Convert a ChatGPT timestamp in seconds
+     * @param {number|null} seconds - Unix time in seconds
+     * @returns {string|null} ISO timestamp, or null when missing
+     */
+    fromUnixTime(seconds) {
+        return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null;
+    }
+
+    /**
+     * Get the sources of chats that are already in the account
+     * @returns {Set<string>} Sources, in the form the import endpoint uses
+     */
+    getImportedSources() {
+        const sources = new Set();
+        Chat.chats.forEach(chat => {
+            sources.add(`nebula:${chat.id}`);
+            if (chat.importSource) {
+                sources.add(chat.importSource);
+            }
+        });
+        return sources;
+    }
+
+    /**
+     * Preview the conversations of an export and let the user choose which to import
+     * @param {Object} parsed - `{ format, chats }` from parse
+     * @returns {Promise<Array|null>} Chosen chats, or null if cancelled
+     */
+    async choose({ format, chats }) {
+        const imported = this.getImportedSources();
+        const seen = new Set();
+
+        const entries = chats
+            .map(chat => {
+                let problem = null;
+                if (imported.has(chat.source) || seen.has(chat.source)) {
+                    problem = 'Already imported';
+                } else if (chat.messages.length === 0) {
+                    problem = 'No messages';
+                } else if (chat.messages.length > CONFIG.IMPORT.MAX_MESSAGES) {
+                    problem = `More than ${CONFIG.IMPORT.MAX_MESSAGES} messages`;
+                }
+                seen.add(chat.source);
+                return { chat, problem };
+            })
+            .sort((a, b) => new Date(b.chat.updatedAt) - new Date(a.chat.updatedAt));
+
+        const importable = entries.filter(entry => !entry.problem).length;
+        const duplicates = entries.filter(entry => entry.problem === 'Already imported').length;
+
+        const values = await UI.form('Import Chats', `
+            <p class="import-summary">
+                Found ${entries.length} conversation${entries.length === 1 ? '' : 's'} in a ${format} export.
+                ${duplicates ? `${duplicates} ${duplicates === 1 ? 'was' : 'were'} imported before and will be skipped.` : ''}
+            </p>
+            <div class="import-chat-list">
+                ${entries.map(({ chat, problem }, index) => `
+                    <label class="form-checkbox import-chat">
+                        <input type="checkbox" name="chat:${index}" ${problem ? 'disabled' : 'checked'}>
+                        <span class="import-chat-details">
+                            <span class="import-chat-title">${Utils.escapeHtml(chat.title || 'Untitled')}</span>
+                            <span class="import-chat-meta">
+                                ${Utils.escapeHtml(new Date(chat.createdAt).toLocaleDateString())} · ${chat.messages.length} message${chat.messages.length === 1 ? '' : 's'}${problem ? ` · ${Utils.escapeHtml(problem)}` : ''}
+                            </span>
+                        </span>
+                    </label>
+                `).join('')}
+            </div>
+        `, importable ? 'Import' : 'Close');
+        if (!values) return null;
+
+        return Object.keys(values)
+            .filter(name => name.startsWith('chat:'))
+            .map(name => entries[Number(name.slice('chat:'.length))].chat);
+    }
+
+    /**
+     * Import chats one at a time, showing progress, then report what failed
+     * @param {Array} chats - Chats for the import endpoint
+     */
+    async run(chats) {
+        const failed = [];
+        let imported = 0;
+        let skipped = 0;
+
+        try {
+            for (const [index, chat] of chats.entries()) {
+                UI.showLoading(`Importing ${index + 1} of ${chats.length}...`);
+
+                try {
+                    const created = await API.importChat(chat);
+                    Chat.broadcastChatChange('upsert', Chat.trackWrite(created));
+                    imported++;
+                } catch (error) {
+                    // An earlier attempt may have gone through before its response was lost
+                    if (error instanceof ApiError && error.code === 'CHAT_EXISTS') {
+                        skipped++;
+                    } else {
+                        failed.push({ chat, error });
+                    }
+                }
+            }
+        } finally {
+            UI.hideLoading();
+            Chat.renderChatList();
+        }
+
+        const summary = [
+            `Imported ${imported} chat${imported === 1 ? '' : 's'}`,
+            skipped && `skipped ${skipped} already imported`,
+            failed.length && `${failed.length} failed`
+        ].filter(Boolean).join(', ');
+        UI.showToast(summary, failed.length ? 'warning' : 'success');
+
+        if (failed.length) {
+            await this.reportFailures(failed);
+        }
+    }
+
+    /**
+     * List chats that could not be imported, offering to try them again
+     * @param {Array<Object>} failed - `{ chat, error }` entries
+     */
+    async reportFailures(failed) {
+        const rows = failed.map(({ chat, error }) => `
+            <div class="list-dialog-row">
+                <div class="list-dialog-details">
+                    <div class="list-dialog-name">${Utils.escapeHtml(chat.title || 'Untitled')}</div>
+                    <div class="list-dialog-meta">${Utils.escapeHtml(ApiError.getUserMessage(error))}</div>
+                </div>
+            </div>
+        `).join('');
+
+        const choice = await UI.listDialog(`${failed.length} chat${failed.length === 1 ? '' : 's'} could not be imported`, rows, 'Retry');
+        if (choice?.action === 'create') {
+            await this.run(failed.map(({ chat }) => chat));
+        }
+    }
+}
+
+// Initialize chat importer
+document.addEventListener('DOMContentLoaded', () => {
+    window.Importer = new ChatImporter();
+});
@@ -0,0 +1,554 @@
+/**
+ * Chat Organizer Module for Nebula Chat
+ * Groups the sidebar into pinned chats and folders, and filters it by colored tags
+ */
+
+class ChatOrganizer {
+    constructor() {
+        this.chatSessions = null;
+        this.activeTag = null;
+        // Folders created in this session that no chat has been moved into yet
+        this.emptyFolders = new Set();
+        this.collapsedFolders = new Set(Utils.storage.get(CONFIG.ORGANIZE.COLLAPSED_STORAGE_KEY, []));
+        this.draggedChatId = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize chat organizer
+     */
+    init() {
+        this.chatSessions = document.getElementById('chat-sessions');
+
+        if (this.chatSessions) {
+            this.chatSessions.addEventListener('click', this.handleClick.bind(this));
+            this.chatSessions.addEventListener('dragstart', this.handleDragStart.bind(this));
+            this.chatSessions.addEventListener('dragend', this.handleDragEnd.bind(this));
+            this.chatSessions.addEventListener('dragover', this.handleDragOver.bind(this));
+            this.chatSessions.addEventListener('dragleave', this.handleDragLeave.bind(this));
+            this.chatSessions.addEventListener('drop', this.handleDrop.bind(this));
+        }
+
+        // Filters and empty folders belong to the previous account
+        document.addEventListener('profile-switched', () => {
+            this.activeTag = null;
+            this.emptyFolders.clear();
+        });
+
+        this.registerCommands();
+    }
+
+    /**
+     * Add organizing commands to the command palette
+     */
+    registerCommands() {
+        const hasChat = () => Boolean(Chat.currentChatId);
+
+        Palette.register({
+            id: 'toggle-pin',
+            title: 'Pin or Unpin Chat',
+            section: 'Actions',
+            icon: 'fa-thumbtack',
+            keywords: 'favorite top',
+            when: hasChat,
+            run: () => this.togglePin(Chat.currentChatId)
+        });
+
+        Palette.register({
+            id: 'organize-chat',
+            title: 'Move or Tag Chat',
+            section: 'Actions',
+            icon: 'fa-tags',
+            keywords: 'folder tags label organize',
+            when: hasChat,
+            run: () => this.editChat(Chat.currentChatId)
+        });
+
+        Palette.register({
+            id: 'new-folder',
+            title: 'New Folder',
+            section: 'Actions',
+            icon: 'fa-folder-plus',
+            run: () => this.createFolder()
+        });
+    }
+
+    /**
+     * Get the folder names in use, including empty ones created this session
+     * @param {Array} chats - Chats
+     * @returns {Array<string>} Folder names sorted alphabetically
+     */
+    getFolders(chats) {
+        const folders = new Set(this.emptyFolders);
+        chats.forEach(chat => chat.folder && folders.add(chat.folder));
+        return [...folders].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Get every tag in use with the color it was last given
+     * @param {Array} chats - Chats
+     * @returns {Array<Object>} `{ name, color }` tags sorted by name
+     */
+    getTags(chats) {
+        const tags = new Map();
+        chats.forEach(chat => (chat.tags || []).forEach(tag => tags.set(tag.name, tag)));
+        return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Pick the color for a tag, reusing the one it already has on other chats
+     * @param {string} name - Tag name
+     * @param {Array} chats - Chats
+     * @returns {string} Hex color
+     */
+    getTagColor(name, chats) {
+        const existing = this.getTags(chats).find(tag => tag.name === name);
+        if (existing && this.isTagColor(existing.color)) return existing.color;
+
+        const colors = CONFIG.ORGANIZE.TAG_COLORS;
+        const hash = Array.from(name).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+        return colors[hash % colors.length];
+    }
+
+    /**
+     * Check that a tag color is a plain hex color, safe to put in a style attribute
+     * @param {string} color - Color from chat data
+     * @returns {boolean} Whether the color is `#rrggbb`
+     */
+    isTagColor(color) {
+        return /^#[0-9a-f]{6}$/i.test(color || '');
+    }
+
+    /**
+     * Split chats into the sidebar groups: pinned, one per folder, then the rest
+     * @param {Array} chats - Chats, already sorted
+     * @returns {Array<Object>} `{ type, name, chats, collapsed, dropZoneOnly }` groups in display order
+     */
+    groupChats(chats) {
+        const visible = this.activeTag
+            ? chats.filter(chat => (chat.tags || []).some(tag => tag.name === this.activeTag))
+            : chats;
+
+        const pinned = visible.filter(chat => chat.pinned);
+        const unpinned = visible.filter(chat => !chat.pinned);
+        const groups = [];
+
+        // Without pinned chats the group is only shown as a drop zone while a chat is dragged
+        groups.push({
+            type: 'pinned',
+            name: 'Pinned',
+            chats: pinned,
+            collapsed: false,
+            dropZoneOnly: pinned.length === 0
+        });
+
+        this.getFolders(chats).forEach(folder => {
+            const folderChats = unpinned.filter(chat => chat.folder === folder);
+
+            // While filtering, only folders with a matching chat are worth showing
+            if (this.activeTag && folderChats.length === 0) return;
+
+            groups.push({
+                type: 'folder',
+                name: folder,
+                chats: folderChats,
+                collapsed: this.collapsedFolders.has(folder)
+            });
+        });
+
+        const loose = unpinned.filter(chat => !chat.folder);
+        if (!this.activeTag || loose.length > 0) {
+            groups.push({ type: 'chats', name: 'Chats', chats: loose, collapsed: false });
+        }
+
+        return groups;
+    }
+
+    /**
+     * Render the tag filter and the folder, archive and trash buttons shown above the groups
+     * @param {Array} chats - Chats
+     * @returns {string} Toolbar HTML
+     */
+    renderToolbar(chats) {
+        const tags = this.getTags(chats);
+
+        // A filter on a tag that no chat has any more would hide everything
+        if (this.activeTag && !tags.some(tag => tag.name === this.activeTag)) {
+            this.activeTag = null;
+        }
+
+        return `
+            <div class="chat-list-toolbar">
+                <div class="tag-filter">
+                    ${tags.map(tag => this.renderTag(tag, {
+                        action: 'filter-tag',
+                        active: tag.name === this.activeTag
+                    })).join('')}
+                </div>
+                <div class="chat-list-toolbar-actions">
+                    <button class="action-btn" data-organize-action="new-folder" title="New folder">
+                        <i class="fas fa-folder-plus"></i>
+                    </button>
+                    <button class="action-btn" data-organize-action="open-archive" title="Archived chats">
+                        <i class="fas fa-box-open"></i>
+                    </button>
+                    <button class="action-btn" data-organize-action="open-trash" title="Trash">
+                        <i class="fas fa-trash-restore"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a colored tag chip
+     * @param {Object} tag - Tag
+     * @param {Object} options - `action` makes the chip a button, `active` marks the current filter
+     * @returns {string} Tag HTML
+     */
+    renderTag(tag, { action = null, active = false } = {}) {
+        // Tags come from the server, so anything but a hex color could smuggle in more CSS
+        const color = this.isTagColor(tag.color) ? tag.color : this.getTagColor(tag.name, []);
+        const style = `background: ${color}; color: ${Utils.getContrastColor(color)}`;
+        const name = Utils.escapeHtml(tag.name);
+
+        return action
+            ? `<button class="tag-chip${active ? ' active' : ''}" style="${style}" data-organize-action="${action}" data-tag="${name}" title="${active ? 'Show all chats' : `Only show chats tagged ${name}`}">${name}</button>`
+            : `<span class="tag-chip" style="${style}">${name}</span>`;
+    }
+
+    /**
+     * Render the heading of a sidebar group
+     * @param {Object} group - Group from groupChats
+     * @param {boolean} onlyGroup - Whether this is the only group, which needs no heading
+     * @returns {string} Heading HTML
+     */
+    renderGroupHeader(group, onlyGroup) {
+        if (group.type === 'chats' && onlyGroup) return '';
+
+        if (group.type === 'folder') {
+            return `
+                <button class="chat-group-header" data-organize-action="toggle-folder" data-folder="${Utils.escapeHtml(group.name)}" aria-expanded="${!group.collapsed}">
+                    <i class="fas fa-chevron-${group.collapsed ? 'right' : 'down'}"></i>
+                    <i class="fas fa-folder${group.collapsed ? '' : '-open'}"></i>
+                    <span class="chat-group-name">${Utils.escapeHtml(group.name)}</span>
+                    <span class="chat-group-count">${group.chats.length}</span>
+                </button>
+            `;
+        }
+
+        const icon = group.type === 'pinned' ? 'fa-thumbtack' : 'fa-comments';
+        return `
+            <div class="chat-group-header">
+                <i class="fas ${icon}"></i>
+                <span class="chat-group-name">${group.name}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the pin and organize buttons and the tags of a sidebar entry
+     * @param {Object} chat - Chat
+     * @returns {string} HTML placed inside the entry
+     */
+    renderSessionExtras(chat) {
+        const tags = chat.tags || [];
+
+        return `
+            <div class="chat-session-actions">
+                <button class="action-btn${chat.pinned ? ' active' : ''}" data-organize-action="toggle-pin" title="${chat.pinned ? 'Unpin' : 'Pin'}">
+                    <i class="fas fa-thumbtack"></i>
+                </button>
+                <button class="action-btn" data-organize-action="edit" title="Move or tag">
+                    <i class="fas fa-tags"></i>
+                </button>
+            </div>
+            ${tags.length > 0 ? `<div class="chat-session-tags">${tags.map(tag => this.renderTag(tag)).join('')}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Handle clicks on tags, folder headings and entry buttons
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+        const target = event.target.closest('[data-organize-action]');
+        if (!target) return;
+
+        const chatId = target.closest('.chat-session')?.dataset.chatId;
+
+        switch (target.dataset.organizeAction) {
+            case 'filter-tag':
+                this.activeTag = this.activeTag === target.dataset.tag ? null : target.dataset.tag;
+                Chat.renderChatList();
+                break;
+            case 'toggle-folder':
+                this.toggleFolder(target.dataset.folder);
+                break;
+            case 'new-folder':
+                this.createFolder();
+                break;
+            case 'open-archive':
+                Archive.openArchive();
+                break;
+            case 'open-trash':
+                Archive.openTrash();
+                break;
+            case 'toggle-pin':
+                this.togglePin(chatId);
+                break;
+            case 'edit':
+                this.editChat(chatId);
+                break;
+        }
+    }
+
+    /**
+     * Collapse or expand a folder and remember it
+     * @param {string} folder - Folder name
+     */
+    toggleFolder(folder) {
+        if (this.collapsedFolders.has(folder)) {
+            this.collapsedFolders.delete(folder);
+        } else {
+            this.collapsedFolders.add(folder);
+        }
+
+        Utils.storage.set(CONFIG.ORGANIZE.COLLAPSED_STORAGE_KEY, [...this.collapsedFolders]);
+        Chat.renderChatList();
+    }
+
+    /**
+     * Ask for a folder name and add an empty folder to drop chats into
+     */
+    async createFolder() {
+        const name = await UI.prompt('Name the new folder', 'New Folder');
+        const folder = this.validateFolder(name);
+        if (!folder) return;
+
+        this.emptyFolders.add(folder);
+        this.collapsedFolders.delete(folder);
+        Chat.renderChatList();
+        UI.showToast(`Drag chats onto "${folder}" to move them in`, 'info');
+    }
+
+    /**
+     * Check a folder name, warning about problems
+     * @param {string|null} name - Folder name as typed
+     * @returns {string|null} Trimmed name, or null if it cannot be used
+     */
+    validateFolder(name) {
+        const folder = (name || '').trim();
+        if (!folder) return null;
+
+        if (folder.length > CONFIG.ORGANIZE.MAX_FOLDER_NAME_LENGTH) {
+            UI.showToast(`Folder names can be at most ${CONFIG.ORGANIZE.MAX_FOLDER_NAME_LENGTH} characters`, 'warning');
+            return null;
+        }
+
+        return folder;
+    }
+
+    /**
+     * Pin a chat, or unpin it if it is pinned
+     * @param {string} chatId - Chat ID
+     */
+    togglePin(chatId) {
+        const chat = Chat.chats.get(chatId);
+        if (!chat) return;
+
+        Chat.organizeChat(chatId, { pinned: !chat.pinned });
+    }
+
+    /**
+     * Move a chat into a folder
+     * @param {string} chatId - Chat ID
+     * @param {string|null} folder - Folder name, or null to take it out of its folder
+     */
+    moveToFolder(chatId, folder) {
+        const chat = Chat.chats.get(chatId);
+        if (!chat) return;
+
+        if ((chat.folder || null) === folder && !chat.pinned) return;
+
+        // Dropping a pinned chat on a folder files it there instead of keeping it on top
+        const changes = chat.pinned ? { folder, pinned: false } : { folder };
+
+        if (folder) {
+            this.emptyFolders.delete(folder);
+        }
+        Chat.organizeChat(chatId, changes);
+    }
+
+    /**
+     * Edit the folder, tags, tag colors and pin of a chat
+     * @param {string} chatId - Chat ID
+     */
+    async editChat(chatId) {
+        const chat = Chat.chats.get(chatId);
+        if (!chat) return;
+
+        const chats = Array.from(Chat.chats.values());
+        const tags = chat.tags || [];
+
+        const values = await UI.form('Move or Tag Chat', `
+            <div class="form-group">
+                <label class="form-label" for="organize-folder">Folder</label>
+                <input id="organize-folder" class="form-input" name="folder" list="organize-folder-options" maxlength="${CONFIG.ORGANIZE.MAX_FOLDER_NAME_LENGTH}" value="${Utils.escapeHtml(chat.folder || '')}" placeholder="No folder">
+                <datalist id="organize-folder-options">
+                    ${this.getFolders(chats).map(folder => `<option value="${Utils.escapeHtml(folder)}"></option>`).join('')}
+                </datalist>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="organize-tags">Tags</label>
+                <input id="organize-tags" class="form-input" name="tags" list="organize-tag-options" value="${Utils.escapeHtml(tags.map(tag => tag.name).join(', '))}" placeholder="work, ideas">
+                <datalist id="organize-tag-options">
+                    ${this.getTags(chats).map(tag => `<option value="${Utils.escapeHtml(tag.name)}"></option>`).join('')}
+                </datalist>
+            </div>
+            ${tags.length > 0 ? `
+                <div class="form-group">
+                    <span class="form-label">Tag colors</span>
+                    <div class="tag-color-fields">
+                        ${tags.map((tag, index) => `
+                            <label class="tag-color-field">
+                                <input type="color" name="color-${index}" value="${Utils.escapeHtml(tag.color)}">
+                                ${Utils.escapeHtml(tag.name)}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            <label class="form-checkbox">
+                <input type="checkbox" name="pinned" ${chat.pinned ? 'checked' : ''}>
+                Pin to the top of the sidebar
+            </label>
+        `);
+        if (!values) return;
+
+        const folder = values.folder.trim() ? this.validateFolder(values.folder) : null;
+        if (values.folder.trim() && !folder) return;
+
+        // Colors picked in the form apply to the tag everywhere it is used
+        const recolored = new Map(tags
+            .map((tag, index) => [tag.name, values[`color-${index}`]])
+            .filter(([name, color]) => color && color !== tags.find(tag => tag.name === name).color));
+
+        const names = [...new Set(values.tags.split(',').map(name => name.trim()).filter(Boolean))];
+        if (names.length > CONFIG.ORGANIZE.MAX_TAGS) {
+            UI.showToast(`A chat can have at most ${CONFIG.ORGANIZE.MAX_TAGS} tags`, 'warning');
+            return;
+        }
+        if (names.some(name => name.length > CONFIG.ORGANIZE.MAX_TAG_LENGTH)) {
+            UI.showToast(`Tags can be at most ${CONFIG.ORGANIZE.MAX_TAG_LENGTH} characters`, 'warning');
+            return;
+        }
+
+        const saved = await Chat.organizeChat(chatId, {
+            folder,
+            pinned: values.pinned === 'on',
+            tags: names.map(name => ({ name, color: recolored.get(name) || this.getTagColor(name, chats) }))
+        });
+
+        if (saved && recolored.size > 0) {
+            await this.recolorTags(chatId, recolored);
+        }
+    }
+
+    /**
+     * Give tags their new colors on every other chat that has them
+     * @param {string} chatId - Chat that was already updated
+     * @param {Map<string, string>} colors - New color by tag name
+     */
+    async recolorTags(chatId, colors) {
+        const others = Array.from(Chat.chats.values()).filter(chat => chat.id !== chatId
+            && (chat.tags || []).some(tag => colors.has(tag.name)));
+
+        await Promise.all(others.map(chat => Chat.organizeChat(chat.id, {
+            tags: chat.tags.map(tag => ({ ...tag, color: colors.get(tag.name) || tag.color }))
+        })));
+    }
+
+    /**
+     * Start dragging a sidebar entry
+     * @param {DragEvent} event - Drag event
+     */
+    handleDragStart(event) {
+        const session = event.target.closest?.('.chat-session');
+        if (!session) return;
+
+        this.draggedChatId = session.dataset.chatId;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', session.dataset.chatId);
+        session.classList.add('dragging');
+
+        // Changing the layout during dragstart cancels the drag in some browsers
+        setTimeout(() => this.chatSessions.classList.toggle('dragging-chat', Boolean(this.draggedChatId)));
+    }
+
+    /**
+     * Clean up after a drag ends, dropped or not
+     */
+    handleDragEnd() {
+        this.draggedChatId = null;
+        this.chatSessions.classList.remove('dragging-chat');
+        this.chatSessions.querySelectorAll('.dragging, .drop-target').forEach(element => {
+            element.classList.remove('dragging', 'drop-target');
+        });
+    }
+
+    /**
+     * Highlight the group a chat would be dropped into
+     * @param {DragEvent} event - Drag event
+     */
+    handleDragOver(event) {
+        const group = event.target.closest('.chat-group');
+        if (!group || !this.draggedChatId) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        this.chatSessions.querySelectorAll('.drop-target').forEach(element => {
+            if (element !== group) element.classList.remove('drop-target');
+        });
+        group.classList.add('drop-target');
+    }
+
+    /**
+     * Remove the highlight once the pointer leaves a group
+     * @param {DragEvent} event - Drag event
+     */
+    handleDragLeave(event) {
+        const group = event.target.closest('.chat-group');
+        if (group && !group.contains(event.relatedTarget)) {
+            group.classList.remove('drop-target');
+        }
+    }
+
+    /**
+     * Pin, file or unfile the dropped chat depending on the group
+     * @param {DragEvent} event - Drop event
+     */
+    handleDrop(event) {
+        const group = event.target.closest('.chat-group');
+        const chatId = this.draggedChatId;
+        if (!group || !chatId) return;
+
+        event.preventDefault();
+        this.handleDragEnd();
+
+        const chat = Chat.chats.get(chatId);
+        if (group.dataset.group === 'pinned') {
+            if (!chat?.pinned) this.togglePin(chatId);
+        } else if (group.dataset.group === 'folder') {
+            this.moveToFolder(chatId, group.dataset.folder);
+        } else {
+            this.moveToFolder(chatId, null);
+        }
+    }
+}
+
+// Initialize chat organizer
+document.addEventListener('DOMContentLoaded', () => {
+    window.Organizer = new ChatOrganizer();
+});
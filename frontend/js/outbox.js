@@ -0,0 +1,118 @@
+/**
+ * Offline Outbox Module for Nebula Chat
+ * Persists messages composed without a connection in IndexedDB until they can be delivered
+ */
+
+class OutboxStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the outbox database, creating the store on first use
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(CONFIG.OUTBOX.DB_NAME, CONFIG.OUTBOX.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(CONFIG.OUTBOX.STORE_NAME, { keyPath: 'clientId' });
+                    store.createIndex('chatId', 'chatId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Let a later call try again instead of caching the failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the outbox store and wait for its transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CONFIG.OUTBOX.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(CONFIG.OUTBOX.STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Queue a message, or update one already queued
+     * @param {Object} entry - Queued message with `clientId`, `profileId`, `chatId`, `content` and `timestamp`
+     */
+    async put(entry) {
+        await this.run('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Remove a message from the outbox
+     * @param {string} clientId - Message client ID
+     */
+    async remove(clientId) {
+        await this.run('readwrite', store => store.delete(clientId));
+    }
+
+    /**
+     * Get a queued message
+     * @param {string} clientId - Message client ID
+     * @returns {Promise<Object|undefined>} Queued message
+     */
+    async get(clientId) {
+        return this.run('readonly', store => store.get(clientId));
+    }
+
+    /**
+     * Get every message queued by a profile, oldest first
+     * @param {string} profileId - Account profile ID
+     * @returns {Promise<Array>} Queued messages
+     */
+    async getAll(profileId) {
+        const entries = await this.run('readonly', store => store.getAll());
+        return this.sortForDelivery(entries.filter(entry => entry.profileId === profileId));
+    }
+
+    /**
+     * Get the messages queued for one chat, oldest first
+     * @param {string} profileId - Account profile ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Array>} Queued messages
+     */
+    async getForChat(profileId, chatId) {
+        const entries = await this.run('readonly', store => store.index('chatId').getAll(chatId));
+        return this.sortForDelivery(entries.filter(entry => entry.profileId === profileId));
+    }
+
+    /**
+     * Order queued messages the way they were written
+     * @param {Array} entries - Queued messages
+     * @returns {Array} Sorted messages
+     */
+    sortForDelivery(entries) {
+        return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+}
+
+// Create global outbox instance
+window.Outbox = new OutboxStore();
@@ -0,0 +1,344 @@
+/**
+ * Command Palette Module for Nebula Chat
+ * Keyboard-first launcher for chats, actions and settings; other modules register their own entries
+ */
+
+class CommandPalette {
+    constructor() {
+        this.commands = new Map();
+        this.providers = [];
+        this.overlay = null;
+        this.input = null;
+        this.list = null;
+        this.entries = [];
+        this.activeIndex = 0;
+        this.section = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize command palette
+     */
+    init() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'palette-overlay hidden';
+        this.overlay.innerHTML = `
+            <div class="palette" role="dialog" aria-label="Command palette">
+                <div class="palette-search">
+                    <i class="fas fa-search"></i>
+                    <input class="palette-input" type="text" placeholder="Search chats, actions and settings..." autocomplete="off" spellcheck="false">
+                </div>
+                <div class="palette-list" role="listbox"></div>
+                <div class="palette-footer">
+                    <span><kbd>↑</kbd><kbd>↓</kbd> navigate</span>
+                    <span><kbd>Enter</kbd> run</span>
+                    <span><kbd>Esc</kbd> close</span>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.overlay);
+
+        this.input = this.overlay.querySelector('.palette-input');
+        this.list = this.overlay.querySelector('.palette-list');
+
+        this.input.addEventListener('input', () => {
+            this.activeIndex = 0;
+            this.render();
+        });
+        this.input.addEventListener('keydown', this.handleKeyDown.bind(this));
+
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) {
+                this.close();
+            }
+        });
+
+        this.list.addEventListener('mousemove', (event) => {
+            const option = event.target.closest('[data-index]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.activeIndex = Number(option.dataset.index);
+                this.updateActive();
+            }
+        });
+
+        this.list.addEventListener('click', (event) => {
+            const option = event.target.closest('[data-index]');
+            if (option) {
+                this.run(this.entries[Number(option.dataset.index)]);
+            }
+        });
+    }
+
+    /**
+     * Add a command to the palette
+     * @param {Object} command - Command definition
+     * @param {string} command.id - Unique ID, also used to remember recent use
+     * @param {string} command.title - Label shown and matched
+     * @param {string} command.section - Group heading, e.g. "Actions" or "Settings"
+     * @param {string} command.icon - Font Awesome icon class
+     * @param {Function} command.run - Called when the command is picked
+     * @param {string} [command.subtitle] - Secondary text
+     * @param {string} [command.keywords] - Extra words to match
+     * @param {string} [command.shortcut] - Keyboard shortcut hint
+     * @param {Function} [command.when] - Returns false while the command is unavailable
+     */
+    register(command) {
+        this.commands.set(command.id, command);
+    }
+
+    /**
+     * Add a source of commands that changes over time, such as the chat list
+     * @param {Function} provider - Returns an array of command definitions
+     */
+    registerProvider(provider) {
+        this.providers.push(provider);
+    }
+
+    /**
+     * Check whether the palette is showing
+     * @returns {boolean} Whether the palette is open
+     */
+    isOpen() {
+        return !this.overlay.classList.contains('hidden');
+    }
+
+    /**
+     * Open the palette
+     * @param {Object} options - Open options
+     * @param {string} options.section - Only show commands of this section
+     */
+    open({ section = null } = {}) {
+        if (!Auth?.isUserAuthenticated?.()) return;
+
+        this.section = section;
+        this.input.value = '';
+        this.input.placeholder = section
+            ? `Search ${section.toLowerCase()}...`
+            : 'Search chats, actions and settings...';
+        this.activeIndex = 0;
+        this.overlay.classList.remove('hidden');
+        this.render();
+        this.input.focus();
+    }
+
+    /**
+     * Close the palette
+     */
+    close() {
+        this.overlay.classList.add('hidden');
+        this.list.innerHTML = '';
+        this.entries = [];
+    }
+
+    /**
+     * Toggle the palette
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Collect every command that is currently available
+     * @returns {Array} Commands
+     */
+    getCommands() {
+        const commands = [...this.commands.values()];
+
+        this.providers.forEach(provider => {
+            try {
+                commands.push(...provider());
+            } catch (error) {
+                console.error('Command palette provider failed:', error);
+            }
+        });
+
+        return commands.filter(command =>
+            (!command.when || command.when()) && (!this.section || command.section === this.section));
+    }
+
+    /**
+     * Get the IDs of recently run commands, most recent first
+     * @returns {Array<string>} Command IDs
+     */
+    getRecent() {
+        return Utils.storage.get(CONFIG.PALETTE.RECENT_STORAGE_KEY, []);
+    }
+
+    /**
+     * Remember that a command was run
+     * @param {string} id - Command ID
+     */
+    addRecent(id) {
+        const recent = [id, ...this.getRecent().filter(recentId => recentId !== id)];
+        Utils.storage.set(CONFIG.PALETTE.RECENT_STORAGE_KEY, recent.slice(0, CONFIG.PALETTE.MAX_RECENT));
+    }
+
+    /**
+     * Match the query against the commands, recent ones first
+     * @returns {Array} `{ command, indices, section }` entries in display order
+     */
+    getEntries() {
+        const query = this.input.value.trim();
+        const recent = this.getRecent();
+        const commands = this.getCommands();
+
+        if (!query) {
+            const recentEntries = recent
+                .map(id => commands.find(command => command.id === id))
+                .filter(Boolean)
+                .map(command => ({ command, indices: [], section: 'Recent' }));
+            const recentIds = new Set(recentEntries.map(entry => entry.command.id));
+            const rest = commands
+                .filter(command => !recentIds.has(command.id))
+                .sort((a, b) => CONFIG.PALETTE.SECTIONS.indexOf(a.section) - CONFIG.PALETTE.SECTIONS.indexOf(b.section))
+                .map(command => ({ command, indices: [], section: command.section }));
+
+            return [...recentEntries, ...rest].slice(0, CONFIG.PALETTE.MAX_RESULTS);
+        }
+
+        return commands
+            .map(command => {
+                const titleMatch = Utils.fuzzyMatch(query, command.title);
+                const keywordMatch = command.keywords ? Utils.fuzzyMatch(query, command.keywords) : null;
+                const match = titleMatch || keywordMatch;
+                if (!match) return null;
+
+                // Recent commands float up, the most recent the most
+                const recentIndex = recent.indexOf(command.id);
+                const recentBonus = recentIndex === -1 ? 0 : CONFIG.PALETTE.MAX_RECENT - recentIndex;
+
+                return {
+                    command,
+                    indices: titleMatch ? titleMatch.indices : [],
+                    section: command.section,
+                    score: match.score + recentBonus
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CONFIG.PALETTE.MAX_RESULTS);
+    }
+
+    /**
+     * Render the matching commands
+     */
+    render() {
+        this.entries = this.getEntries();
+
+        if (this.entries.length === 0) {
+            this.list.innerHTML = '<div class="palette-empty">No matching commands</div>';
+            return;
+        }
+
+        // Headings only make sense while the list is grouped, before any query
+        const grouped = !this.input.value.trim();
+        let lastSection = null;
+
+        this.list.innerHTML = this.entries.map((entry, index) => {
+            const { command } = entry;
+            const heading = grouped && entry.section !== lastSection
+                ? `<div class="palette-section">${Utils.escapeHtml(entry.section)}</div>`
+                : '';
+            lastSection = entry.section;
+
+            return `
+                ${heading}
+                <div class="palette-option${index === this.activeIndex ? ' active' : ''}" role="option" data-index="${index}" aria-selected="${index === this.activeIndex}">
+                    <i class="fas ${Utils.escapeHtml(command.icon || 'fa-bolt')}"></i>
+                    <div class="palette-option-text">
+                        <span class="palette-option-title">${this.highlight(command.title, entry.indices)}</span>
+                        ${command.subtitle ? `<span class="palette-option-subtitle">${Utils.escapeHtml(command.subtitle)}</span>` : ''}
+                    </div>
+                    ${grouped ? '' : `<span class="palette-option-section">${Utils.escapeHtml(command.section)}</span>`}
+                    ${command.shortcut ? `<kbd>${Utils.escapeHtml(command.shortcut)}</kbd>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        this.updateActive();
+    }
+
+    /**
+     * Mark matched characters of a title
+     * @param {string} title - Command title
+     * @param {Array<number>} indices - Matched positions, in code points as Utils.fuzzyMatch returns them
+     * @returns {string} Title HTML
+     */
+    highlight(title, indices) {
+        if (indices.length === 0) return Utils.escapeHtml(title);
+
+        const matched = new Set(indices);
+        return Array.from(title, (char, index) => matched.has(index)
+            ? `<mark>${Utils.escapeHtml(char)}</mark>`
+            : Utils.escapeHtml(char)).join('');
+    }
+
+    /**
+     * Move the highlight to the active option and keep it in view
+     */
+    updateActive() {
+        this.list.querySelectorAll('.palette-option').forEach(option => {
+            const active = Number(option.dataset.index) === this.activeIndex;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', active);
+            if (active) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Handle keys typed in the palette
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeyDown(event) {
+        const count = this.entries.length;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (count === 0) return;
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + count) % count;
+            this.updateActive();
+        } else if (event.key === 'Home' || event.key === 'End') {
+            event.preventDefault();
+            this.activeIndex = event.key === 'Home' ? 0 : Math.max(count - 1, 0);
+            this.updateActive();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            this.run(this.entries[this.activeIndex]);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.close();
+        }
+    }
+
+    /**
+     * Close the palette and run a command
+     * @param {Object} entry - Entry from getEntries
+     */
+    async run(entry) {
+        if (!entry) return;
+
+        this.close();
+        this.addRecent(entry.command.id);
+
+        try {
+            await entry.command.run();
+        } catch (error) {
+            console.error(`Command "${entry.command.title}" failed:`, error);
+            UI.showToast(`${entry.command.title} failed`, 'error');
+        }
+    }
+}
+
+// Initialize command palette
+document.addEventListener('DOMContentLoaded', () => {
+    window.Palette = new CommandPalette();
+});
@@ -0,0 +1,225 @@
+/**
+ * Personas Module for Nebula Chat
+ * Manages reusable personas: a name, an icon, a system prompt and default model settings
+ */
+
+class PersonaManager {
+    constructor() {
+        this.personas = new Map();
+        this.personasBtn = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize persona manager
+     */
+    init() {
+        this.personasBtn = document.getElementById('personas-btn');
+
+        if (this.personasBtn) {
+            this.personasBtn.addEventListener('click', this.openManager.bind(this));
+        }
+
+        document.addEventListener('app-ready', this.loadPersonas.bind(this));
+
+        // Personas belong to an account, so forget them when the user switches
+        document.addEventListener('profile-switched', () => {
+            this.personas.clear();
+            this.notifyChange();
+        });
+
+        // Pick up personas edited in other tabs
+        Sync.on('personas-changed', this.loadPersonas.bind(this));
+
+        Palette.register({
+            id: 'manage-personas',
+            title: 'Manage Personas',
+            section: 'Settings',
+            icon: 'fa-theater-masks',
+            keywords: 'system prompt assistant',
+            run: () => this.openManager()
+        });
+    }
+
+    /**
+     * Load the user's personas from the server
+     */
+    async loadPersonas() {
+        try {
+            const personas = await API.getPersonas();
+            this.personas = new Map(personas.map(persona => [persona.id, persona]));
+            this.notifyChange();
+        } catch (error) {
+            console.error('Failed to load personas:', error);
+        }
+    }
+
+    /**
+     * Get a persona
+     * @param {string} personaId - Persona ID
+     * @returns {Object|null} Persona, or null if unknown
+     */
+    get(personaId) {
+        return (personaId && this.personas.get(personaId)) || null;
+    }
+
+    /**
+     * Get all personas sorted by name
+     * @returns {Array} Personas
+     */
+    getAll() {
+        return Array.from(this.personas.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Let other modules redraw anything that shows persona details
+     */
+    notifyChange() {
+        document.dispatchEvent(new Event('personas-changed'));
+    }
+
+    /**
+     * Ask which persona a new chat should use
+     * @returns {Promise<string|null|undefined>} Persona ID, null for the default assistant, or undefined if cancelled
+     */
+    async choosePersona() {
+        const personas = this.getAll();
+        if (personas.length === 0) return null;
+
+        const options = personas
+            .map(persona => `<option value="${Utils.escapeHtml(persona.id)}">${Utils.escapeHtml(persona.name)}</option>`)
+            .join('');
+
+        const values = await UI.form('New Chat', `
+            <div class="form-group">
+                <label class="form-label" for="new-chat-persona">Persona</label>
+                <select id="new-chat-persona" class="form-input" name="personaId">
+                    <option value="">Default assistant</option>
+                    ${options}
+                </select>
+            </div>
+        `, 'Start chat');
+
+        if (!values) return undefined;
+        return values.personaId || null;
+    }
+
+    /**
+     * Show the list of personas with create, edit and delete actions
+     */
+    async openManager() {
+        const personas = this.getAll();
+        const rows = personas.length === 0
+            ? '<p class="list-dialog-empty">No personas yet. Create one to reuse a system prompt and model settings.</p>'
+            : personas.map(persona => `
+                <div class="list-dialog-row">
+                    <span class="persona-icon" style="background: ${Utils.generateColor(persona.id)}">
+                        <i class="fas ${Utils.escapeHtml(persona.icon)}"></i>
+                    </span>
+                    <div class="list-dialog-details">
+                        <div class="list-dialog-name">${Utils.escapeHtml(persona.name)}</div>
+                        <div class="list-dialog-meta">${Utils.escapeHtml(persona.settings?.model || CONFIG.MODELS.DEFAULTS.model)}</div>
+                    </div>
+                    <button class="action-btn" data-action="edit" data-id="${Utils.escapeHtml(persona.id)}" title="Edit persona">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="action-btn" data-action="delete" data-id="${Utils.escapeHtml(persona.id)}" title="Delete persona">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+
+        const choice = await UI.listDialog('Personas', rows, 'New Persona');
+        if (!choice) return;
+
+        // The editor replaces the list, which comes back once it closes
+        const persona = this.get(choice.id);
+        if (choice.action === 'create') {
+            await this.editPersona();
+        } else if (choice.action === 'edit' && persona) {
+            await this.editPersona(persona);
+        } else if (choice.action === 'delete' && persona) {
+            await this.deletePersona(persona);
+        }
+        this.openManager();
+    }
+
+    /**
+     * Create a persona, or edit an existing one
+     * @param {Object|null} persona - Persona to edit, or null to create one
+     */
+    async editPersona(persona = null) {
+        const icon = persona?.icon || CONFIG.PERSONAS.ICONS[0];
+        const iconOptions = CONFIG.PERSONAS.ICONS
+            .map(name => `<option value="${name}"${name === icon ? ' selected' : ''}>${name.replace(/^fa-/, '').replace(/-/g, ' ')}</option>`)
+            .join('');
+
+        const values = await UI.form(persona ? 'Edit Persona' : 'New Persona', `
+            <div class="form-group">
+                <label class="form-label" for="persona-name">Name</label>
+                <input id="persona-name" class="form-input" name="name" maxlength="${CONFIG.PERSONAS.MAX_NAME_LENGTH}" value="${Utils.escapeHtml(persona?.name || '')}" required>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="persona-icon">Icon</label>
+                <select id="persona-icon" class="form-input" name="icon">${iconOptions}</select>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="persona-prompt">System prompt</label>
+                <textarea id="persona-prompt" class="form-textarea" name="systemPrompt" rows="5" maxlength="${CONFIG.PERSONAS.MAX_PROMPT_LENGTH}" required>${Utils.escapeHtml(persona?.systemPrompt || '')}</textarea>
+            </div>
+            ${Chat.renderSettingsFields({ ...CONFIG.MODELS.DEFAULTS, ...persona?.settings })}
+        `, persona ? 'Save' : 'Create');
+        if (!values) return;
+
+        const changes = {
+            name: values.name.trim(),
+            icon: values.icon,
+            systemPrompt: values.systemPrompt.trim(),
+            settings: Chat.readSettingsFields(values)
+        };
+
+        try {
+            const saved = persona
+                ? await API.updatePersona(persona.id, changes)
+                : await API.createPersona(changes);
+
+            this.personas.set(saved.id, saved);
+            this.notifyChange();
+            Sync.broadcast('personas-changed');
+            UI.showToast(persona ? 'Persona saved' : 'Persona created', 'success');
+        } catch (error) {
+            console.error('Failed to save persona:', error);
+            UI.showToast(`Failed to save persona: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Delete a persona after confirmation
+     * @param {Object} persona - Persona to delete
+     */
+    async deletePersona(persona) {
+        const confirmed = await UI.confirm(
+            `Delete the persona "${persona.name}"? Chats that use it keep their messages and settings but lose its system prompt.`,
+            'Delete Persona'
+        );
+        if (!confirmed) return;
+
+        try {
+            await API.deletePersona(persona.id);
+
+            this.personas.delete(persona.id);
+            this.notifyChange();
+            Sync.broadcast('personas-changed');
+            UI.showToast('Persona deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete persona:', error);
+            UI.showToast(`Failed to delete persona: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+}
+
+// Initialize persona manager
+document.addEventListener('DOMContentLoaded', () => {
+    window.Personas = new PersonaManager();
+});
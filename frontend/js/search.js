@@ -0,0 +1,194 @@
+/**
+ * Search Module for Nebula Chat
+ * Searches message content across all chats on the server and lists the hits in the sidebar
+ */
+
+class SearchManager {
+    constructor() {
+        this.searchInput = null;
+        this.results = null;
+        this.chatSessions = null;
+        this.abortController = null;
+        this.query = '';
+
+        this.init();
+    }
+
+    /**
+     * Initialize search manager
+     */
+    init() {
+        this.bindElements();
+        this.bindEvents();
+    }
+
+    /**
+     * Bind DOM elements
+     */
+    bindElements() {
+        this.searchInput = document.getElementById('chat-search-input');
+        this.results = document.getElementById('search-results');
+        this.chatSessions = document.getElementById('chat-sessions');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', Utils.debounce(() => {
+                this.search(this.searchInput.value);
+            }, CONFIG.SEARCH.DEBOUNCE_DELAY));
+
+            this.searchInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    this.clear();
+                }
+            });
+        }
+
+        if (this.results) {
+            this.results.addEventListener('click', (event) => {
+                const result = event.target.closest('.search-result');
+                if (result) {
+                    Chat.revealMessage(result.dataset.chatId, result.dataset.messageId);
+                }
+            });
+        }
+
+        // Results belong to the previous account
+        document.addEventListener('profile-switched', this.clear.bind(this));
+    }
+
+    /**
+     * Focus the search box
+     */
+    focus() {
+        this.searchInput?.focus();
+        this.searchInput?.select();
+    }
+
+    /**
+     * Search all chats, or go back to the chat list for short queries
+     * @param {string} query - Search text
+     */
+    async search(query) {
+        this.query = query.trim();
+        this.abortController?.abort();
+
+        if (this.query.length < CONFIG.SEARCH.MIN_QUERY_LENGTH) {
+            this.showChatList();
+            return;
+        }
+
+        const currentQuery = this.query;
+        this.abortController = new AbortController();
+        this.showResults('<div class="search-status"><i class="fas fa-circle-notch fa-spin"></i> Searching...</div>');
+
+        try {
+            const { results = [], total = results.length } = await API.searchMessages(currentQuery, {
+                signal: this.abortController.signal
+            });
+
+            // A newer query may have started while this one was running
+            if (currentQuery !== this.query) return;
+
+            this.renderResults(results, total);
+        } catch (error) {
+            if (error.name === 'AbortError' || currentQuery !== this.query) return;
+
+            console.error('Search failed:', error);
+            this.showResults(`<div class="search-status">Search failed: ${Utils.escapeHtml(ApiError.getUserMessage(error))}</div>`);
+        }
+    }
+
+    /**
+     * Render search hits with their chat title and a highlighted snippet
+     * @param {Array} results - Search results
+     * @param {number} total - Number of matching messages on the server
+     */
+    renderResults(results, total) {
+        if (results.length === 0) {
+            this.showResults(`
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <p>No messages match "${Utils.escapeHtml(this.query)}"</p>
+                </div>
+            `);
+            return;
+        }
+
+        const more = total > results.length
+            ? `<div class="search-status">Showing ${results.length} of ${total} matches</div>`
+            : '';
+
+        this.showResults(results.map(result => `
+            <div class="search-result" data-chat-id="${Utils.escapeHtml(result.chatId)}" data-message-id="${Utils.escapeHtml(result.messageId)}">
+                <div class="search-result-header">
+                    <span class="search-result-title">${Utils.escapeHtml(result.chatTitle)}</span>
+                    <span class="search-result-time">${Utils.formatDate(result.timestamp)}</span>
+                </div>
+                <div class="search-result-snippet">
+                    <i class="fas ${result.role === 'user' ? 'fa-user' : 'fa-robot'}"></i>
+                    ${this.highlight(result.snippet)}
+                </div>
+            </div>
+        `).join('') + more);
+    }
+
+    /**
+     * Escape a snippet and mark the words of the current query in it
+     * @param {string} snippet - Text around the match
+     * @returns {string} Snippet HTML
+     */
+    highlight(snippet = '') {
+        const terms = this.query.split(/\s+/)
+            .filter(Boolean)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (terms.length === 0) return Utils.escapeHtml(snippet);
+
+        // Splitting on a capturing group puts the matches at odd indexes
+        return snippet.split(new RegExp(`(${terms.join('|')})`, 'gi'))
+            .map((part, index) => index % 2 === 1
+                ? `<mark>${Utils.escapeHtml(part)}</mark>`
+                : Utils.escapeHtml(part))
+            .join('');
+    }
+
+    /**
+     * Show the results panel in place of the chat list
+     * @param {string} html - Results HTML
+     */
+    showResults(html) {
+        if (!this.results) return;
+
+        this.results.innerHTML = html;
+        this.results.classList.remove('hidden');
+        this.chatSessions?.classList.add('hidden');
+    }
+
+    /**
+     * Hide the results and show the chat list again
+     */
+    showChatList() {
+        this.results?.classList.add('hidden');
+        this.chatSessions?.classList.remove('hidden');
+    }
+
+    /**
+     * Empty the search box and cancel a running search
+     */
+    clear() {
+        this.abortController?.abort();
+        this.query = '';
+        if (this.searchInput) {
+            this.searchInput.value = '';
+        }
+        this.showChatList();
+    }
+}
+
+// Initialize search manager
+document.addEventListener('DOMContentLoaded', () => {
+    window.Search = new SearchManager();
+});
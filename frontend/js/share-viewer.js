@@ -0,0 +1,166 @@
+/**
+ * Share Viewer for Nebula Chat
+ * Renders a shared chat snapshot on share.html, without signing in
+ */
+
+class ShareViewer {
+    constructor() {
+        this.titleEl = null;
+        this.metaEl = null;
+        this.messagesContainer = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize share viewer
+     */
+    init() {
+        this.titleEl = document.getElementById('share-title');
+        this.metaEl = document.getElementById('share-meta');
+        this.messagesContainer = document.getElementById('messages');
+
+        // Same origin as the app, so the reader's saved theme applies here too
+        const theme = Utils.storage.get(CONFIG.UI.THEME_STORAGE_KEY);
+        document.documentElement.dataset.theme = CONFIG.UI.THEMES.includes(theme) ? theme : CONFIG.UI.THEMES[0];
+
+        this.load();
+    }
+
+    /**
+     * Read the share ID, server and access key from the link
+     * @returns {Object} `{ id, server, key }`; `server` is null when the link names an unknown server
+     */
+    getLinkParams() {
+        const params = new URLSearchParams(window.location.search);
+        const key = new URLSearchParams(window.location.hash.slice(1)).get('key');
+
+        let server = CONFIG.API_BASE_URL;
+        if (params.has('server')) {
+            const requested = params.get('server').replace(/\/+$/, '');
+            server = this.getKnownServers().has(requested) ? requested : null;
+        }
+
+        return { id: params.get('id'), server, key };
+    }
+
+    /**
+     * Get the backends this browser already trusts: the default one and those of saved accounts.
+     * Anything else could put content of its choosing on the app's origin, next to the stored tokens.
+     * @returns {Set<string>} Backend base URLs without trailing slashes
+     */
+    getKnownServers() {
+        const profiles = Utils.storage.get(CONFIG.SECURITY.PROFILES_STORAGE_KEY)?.profiles || [];
+        return new Set([CONFIG.API_BASE_URL, ...profiles.map(profile => profile.baseUrl)]
+            .filter(Boolean)
+            .map(url => url.replace(/\/+$/, '')));
+    }
+
+    /**
+     * Fetch the snapshot and render it
+     */
+    async load() {
+        const { id, server, key } = this.getLinkParams();
+        if (!id) {
+            this.showError('This link is incomplete. Ask for the full share link.');
+            return;
+        }
+        if (!server) {
+            this.showError('This link points to a server you have not signed in to from this browser. Sign in to it in Nebula Chat first, then open the link again.');
+            return;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${server}${CONFIG.ENDPOINTS.PUBLIC_SHARES}/${encodeURIComponent(id)}`, {
+                headers: key ? { 'X-Share-Key': key } : {}
+            });
+        } catch (error) {
+            console.error('Failed to fetch shared chat:', error);
+            this.showError('Could not reach the server. Please check your connection and reload.');
+            return;
+        }
+
+        const data = await response.json().catch(() => null);
+        if (response.status === 404) {
+            this.showError('This link was revoked, or it does not exist.');
+            return;
+        }
+        if (!response.ok || !data?.success) {
+            this.showError('Something went wrong loading this chat. Please try again later.');
+            return;
+        }
+
+        this.render(data.data);
+    }
+
+    /**
+     * Render a snapshot
+     * @param {Object} snapshot - Shared chat snapshot
+     */
+    render(snapshot) {
+        document.title = `${snapshot.title} - Nebula`;
+        this.titleEl.textContent = snapshot.title;
+        this.metaEl.textContent = [
+            `Shared ${new Date(snapshot.createdAt).toLocaleDateString()}`,
+            `${snapshot.messages.length} message${snapshot.messages.length === 1 ? '' : 's'}`,
+            snapshot.persona?.name
+        ].filter(Boolean).join(' · ');
+
+        this.messagesContainer.innerHTML = snapshot.messages
+            .map(message => this.renderMessage(message, snapshot.persona))
+            .join('');
+    }
+
+    /**
+     * Render one message like the chat transcript does, without its toolbar
+     * @param {Object} message - Message
+     * @param {Object|null} persona - Persona of the chat, `{ id, name, icon }`
+     * @returns {string} Message HTML
+     */
+    renderMessage(message, persona) {
+        const isAssistant = message.role === 'assistant';
+        const avatarStyle = isAssistant && persona
+            ? ` style="background: ${Utils.generateColor(persona.id)}; color: var(--text-primary);"`
+            : '';
+        const icon = isAssistant ? persona?.icon || 'fa-robot' : 'fa-user';
+
+        return `
+            <div class="message ${isAssistant ? 'assistant' : 'user'}${message.interrupted ? ' interrupted' : ''}">
+                <div class="message-avatar"${avatarStyle}>
+                    <i class="fas ${Utils.escapeHtml(icon)}"></i>
+                </div>
+                <div class="message-content">
+                    ${isAssistant && message.model ? `<div class="message-model">${Utils.escapeHtml(message.model)}</div>` : ''}
+                    <div class="message-text">${Utils.formatMessageText(message.content || '')}</div>
+                    ${Attachments.renderCards(message.attachments)}
+                    ${message.interrupted ? '<div class="message-interrupted"><i class="fas fa-stop-circle"></i> Stopped</div>' : ''}
+                    <div class="message-footer">
+                        <div class="message-time">${Utils.escapeHtml(new Date(message.timestamp).toLocaleString())}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Replace the transcript with an error
+     * @param {string} message - Error text
+     */
+    showError(message) {
+        this.titleEl.textContent = 'Shared chat unavailable';
+        this.metaEl.textContent = '';
+        this.messagesContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-unlink"></i>
+                <h3>Can't open this chat</h3>
+                <p>${Utils.escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+}
+
+// Initialize share viewer after Attachments, which renders file cards and opens images
+document.addEventListener('DOMContentLoaded', () => {
+    window.Viewer = new ShareViewer();
+});
@@ -0,0 +1,215 @@
+/**
+ * Share Links Module for Nebula Chat
+ * Freezes snapshots of chats behind read-only links, and lists them for copying or revoking
+ */
+
+class ShareManager {
+    constructor() {
+        this.shareChatBtn = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize share manager
+     */
+    init() {
+        this.shareChatBtn = document.getElementById('share-chat-btn');
+
+        if (this.shareChatBtn) {
+            this.shareChatBtn.addEventListener('click', () => this.shareChat(Chat.currentChatId));
+        }
+
+        this.registerCommands();
+    }
+
+    /**
+     * Add share commands to the command palette
+     */
+    registerCommands() {
+        Palette.register({
+            id: 'share-chat',
+            title: 'Share Chat',
+            subtitle: 'Create a read-only link to a snapshot of this chat',
+            section: 'Actions',
+            icon: 'fa-share-alt',
+            keywords: 'link public url snapshot',
+            when: () => Boolean(Chat.currentChatId),
+            run: () => this.shareChat(Chat.currentChatId)
+        });
+
+        Palette.register({
+            id: 'manage-shares',
+            title: 'Shared Links',
+            subtitle: 'Copy or revoke links to shared chats',
+            section: 'Settings',
+            icon: 'fa-link',
+            keywords: 'share revoke public',
+            run: () => this.openManager()
+        });
+    }
+
+    /**
+     * Share the selected branch of a chat as it is now
+     * @param {string} chatId - Chat ID
+     */
+    async shareChat(chatId) {
+        const chat = Chat.chats.get(chatId);
+        if (!chat) {
+            UI.showToast('Please select or create a chat first', 'warning');
+            return;
+        }
+
+        // Messages still on their way to the server can't be part of the snapshot
+        const leaf = Chat.getActivePath(chat).filter(message => !message.localOnly).pop();
+        if (!leaf) {
+            UI.showToast('There is nothing to share in this chat yet', 'warning');
+            return;
+        }
+
+        const values = await UI.form('Share Chat', `
+            <p class="share-summary">
+                Anyone with the link can read this chat as it is now, without signing in.
+                Messages added later are not shared.
+            </p>
+            <label class="form-checkbox">
+                <input type="checkbox" name="protected">
+                Require an access key, included in the link
+            </label>
+        `, 'Create Link');
+        if (!values) return;
+
+        try {
+            const savedId = await Chat.resolveChatId(chatId);
+            const share = await API.createShare(savedId, { leafId: leaf.id, protected: Boolean(values.protected) });
+            await this.showLink(share);
+        } catch (error) {
+            console.error('Failed to share chat:', error);
+            UI.showToast(`Failed to share chat: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Show a share's link, copying it when asked
+     * @param {Object} share - Share
+     */
+    async showLink(share) {
+        const url = this.getShareUrl(share);
+
+        // Copying waits for this click, since the one that created the share is stale after the request
+        const values = await UI.form('Share Link', `
+            <div class="form-group">
+                <label class="form-label" for="share-url">Link</label>
+                <input id="share-url" class="form-input" name="url" value="${Utils.escapeHtml(url)}" readonly>
+            </div>
+            ${share.protected ? '<p class="share-summary">The access key is part of the link. Anyone you give the full link to can open it.</p>' : ''}
+        `, 'Copy Link');
+
+        if (values) {
+            await UI.copyToClipboard(url, 'Share link copied to clipboard');
+        }
+    }
+
+    /**
+     * Build the viewer link for a share
+     * @param {Object} share - Share
+     * @returns {string} Viewer URL
+     */
+    getShareUrl(share) {
+        const url = new URL(CONFIG.SHARE.VIEWER_PATH, window.location.href);
+        url.searchParams.set('id', share.id);
+
+        // The full base URL, path included; the viewer only accepts it if the reader's browser knows that server
+        if (API.baseUrl !== CONFIG.API_BASE_URL) {
+            url.searchParams.set('server', API.baseUrl);
+        }
+        // Kept in the fragment so the key never reaches server logs or referrers
+        if (share.key) {
+            url.hash = `key=${encodeURIComponent(share.key)}`;
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * Show the user's share links with copy and revoke actions
+     */
+    async openManager() {
+        let shares;
+        try {
+            shares = await API.getShares();
+        } catch (error) {
+            UI.showToast(`Failed to load shared links: ${ApiError.getUserMessage(error)}`, 'error');
+            return;
+        }
+
+        const rows = shares.length === 0
+            ? '<p class="list-dialog-empty">No shared links. Share a chat to let others read it without signing in.</p>'
+            : shares.map(share => this.renderRow(share)).join('');
+
+        const choice = await UI.listDialog('Shared Links', rows);
+        if (!choice) return;
+
+        const share = shares.find(candidate => candidate.id === choice.id);
+        if (choice.action === 'copy' && share) {
+            await this.showLink(share);
+        } else if (choice.action === 'revoke' && share) {
+            await this.revokeShare(share);
+        }
+        // The list comes back once the action is done, showing its result
+        this.openManager();
+    }
+
+    /**
+     * Revoke a share link after confirmation
+     * @param {Object} share - Share
+     */
+    async revokeShare(share) {
+        const confirmed = await UI.confirm(
+            `Revoke the link to "${share.title}"? Anyone who has it will no longer be able to open it.`,
+            'Revoke Link'
+        );
+        if (!confirmed) return;
+
+        try {
+            await API.deleteShare(share.id);
+            UI.showToast('Share link revoked', 'success');
+        } catch (error) {
+            console.error('Failed to revoke share:', error);
+            UI.showToast(`Failed to revoke link: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Render one row of the shared links list
+     * @param {Object} share - Share
+     * @returns {string} Row HTML
+     */
+    renderRow(share) {
+        const meta = [
+            `Shared ${Utils.formatDate(share.createdAt)}`,
+            `${share.messageCount} message${share.messageCount === 1 ? '' : 's'}`,
+            share.protected ? 'Needs access key' : 'Public'
+        ].join(' · ');
+
+        return `
+            <div class="list-dialog-row">
+                <div class="list-dialog-details">
+                    <div class="list-dialog-name">${Utils.escapeHtml(share.title)}</div>
+                    <div class="list-dialog-meta">${Utils.escapeHtml(meta)}</div>
+                </div>
+                <button class="action-btn" data-action="copy" data-id="${Utils.escapeHtml(share.id)}" title="Show link">
+                    <i class="fas fa-link"></i>
+                </button>
+                <button class="action-btn" data-action="revoke" data-id="${Utils.escapeHtml(share.id)}" title="Revoke link">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }
+}
+
+// Initialize share manager
+document.addEventListener('DOMContentLoaded', () => {
+    window.Shares = new ShareManager();
+});
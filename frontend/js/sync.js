@@ -0,0 +1,153 @@
+/**
+ * Cross-Tab Sync Module for Nebula Chat
+ * Coordinates open tabs: elects a leader for background work and relays session and chat changes
+ * Tabs are grouped by the account profile they use; messages and leadership stay within a group
+ */
+
+class SyncManager {
+    constructor() {
+        this.tabId = Utils.generateId();
+        this.channel = null;
+        this.isLeader = false;
+        this.scope = null;
+        this.releaseLeadership = null;
+        this.handlers = new Map();
+        
+        this.init();
+    }
+
+    /**
+     * Initialize sync manager
+     */
+    init() {
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(CONFIG.SYNC.CHANNEL_NAME);
+            this.channel.addEventListener('message', this.handleMessage.bind(this));
+        }
+
+        this.electLeader();
+    }
+
+    /**
+     * Move this tab to another profile's group and compete for its leadership
+     * @param {string|null} scope - Profile ID, or null for a signed-out tab
+     */
+    setScope(scope) {
+        if (scope === this.scope) return;
+
+        if (this.releaseLeadership) {
+            this.releaseLeadership();
+            this.releaseLeadership = null;
+        }
+
+        this.isLeader = false;
+        this.scope = scope;
+        this.electLeader();
+    }
+
+    /**
+     * Compete for leadership; the lock is held until this tab closes or changes scope
+     */
+    electLeader() {
+        // Without Web Locks every tab runs its own background work, as before
+        if (!navigator.locks) {
+            this.becomeLeader();
+            return;
+        }
+
+        const scope = this.scope;
+        const lockName = scope ? `${CONFIG.SYNC.LEADER_LOCK_NAME}:${scope}` : CONFIG.SYNC.LEADER_LOCK_NAME;
+        const controller = new AbortController();
+        let release = null;
+
+        this.releaseLeadership = () => {
+            controller.abort();
+            release?.();
+        };
+
+        navigator.locks.request(lockName, { signal: controller.signal }, () => {
+            if (scope !== this.scope) return;
+
+            this.becomeLeader();
+            return new Promise(resolve => {
+                release = resolve;
+            });
+        }).catch(error => {
+            if (error.name !== 'AbortError') {
+                console.warn('Leader election failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Take over leader duties
+     */
+    becomeLeader() {
+        this.isLeader = true;
+        this.emit('leader');
+    }
+
+    /**
+     * Handle message from another tab
+     * @param {MessageEvent} event - Channel message event
+     */
+    handleMessage(event) {
+        const { type, payload, from, scope, global } = event.data || {};
+        if (!type || from === this.tabId) return;
+        if (!global && scope !== this.scope) return;
+
+        this.emit(type, payload);
+    }
+
+    /**
+     * Send a message to every other open tab
+     * @param {string} type - Message type
+     * @param {Object} payload - Message data
+     * @param {Object} options - Delivery options
+     * @param {boolean} options.global - Deliver to tabs on every profile, not just this one
+     */
+    broadcast(type, payload = {}, { global = false } = {}) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ type, payload, from: this.tabId, scope: this.scope, global });
+        } catch (error) {
+            console.warn('Failed to broadcast to other tabs:', type, error);
+        }
+    }
+
+    /**
+     * Register a handler for messages from other tabs
+     * @param {string} type - Message type, or 'leader' for this tab winning the election
+     * @param {Function} handler - Called with the message payload
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+
+        // Late subscribers still learn that this tab already leads
+        if (type === 'leader' && this.isLeader) {
+            handler();
+        }
+    }
+
+    /**
+     * Call the handlers registered for a message type
+     * @param {string} type - Message type
+     * @param {Object} payload - Message data
+     */
+    emit(type, payload) {
+        (this.handlers.get(type) || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error('Sync handler failed:', type, error);
+            }
+        });
+    }
+}
+
+// Create global sync instance
+window.Sync = new SyncManager();
@@ -0,0 +1,224 @@
+/**
+ * Prompt Templates Module for Nebula Chat
+ * Manages saved prompts with {{variables}} that are filled in before they reach the composer
+ */
+
+class TemplateManager {
+    constructor() {
+        this.templates = new Map();
+
+        this.init();
+    }
+
+    /**
+     * Initialize template manager
+     */
+    init() {
+        document.addEventListener('app-ready', this.loadTemplates.bind(this));
+
+        // Templates belong to an account, so forget them when the user switches
+        document.addEventListener('profile-switched', () => {
+            this.templates.clear();
+        });
+
+        // Pick up templates edited in other tabs
+        Sync.on('templates-changed', this.loadTemplates.bind(this));
+
+        Palette.register({
+            id: 'manage-templates',
+            title: 'Manage Prompt Templates',
+            section: 'Settings',
+            icon: 'fa-file-alt',
+            keywords: 'snippets slash commands',
+            run: () => this.openManager()
+        });
+    }
+
+    /**
+     * Load the user's templates from the server
+     */
+    async loadTemplates() {
+        try {
+            const templates = await API.getTemplates();
+            this.templates = new Map(templates.map(template => [template.id, template]));
+        } catch (error) {
+            console.error('Failed to load templates:', error);
+        }
+    }
+
+    /**
+     * Get a template
+     * @param {string} templateId - Template ID
+     * @returns {Object|null} Template, or null if unknown
+     */
+    get(templateId) {
+        return (templateId && this.templates.get(templateId)) || null;
+    }
+
+    /**
+     * Get all templates sorted by name
+     * @returns {Array} Templates
+     */
+    getAll() {
+        return Array.from(this.templates.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get the slash command that inserts a template
+     * @param {Object} template - Template
+     * @returns {string} Command name without the slash, e.g. "code-review"
+     */
+    getCommand(template) {
+        return template.name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Find the template a typed command refers to
+     * @param {string} command - Command name without the slash
+     * @returns {Object|null} Template
+     */
+    findByCommand(command) {
+        return this.getAll().find(template => this.getCommand(template) === command.toLowerCase()) || null;
+    }
+
+    /**
+     * List the variables of a template in the order they first appear
+     * @param {string} content - Template text
+     * @returns {Array<string>} Variable names
+     */
+    getVariables(content) {
+        const names = Array.from(content.matchAll(/\{\{\s*([^{}]+?)\s*\}\}/g), match => match[1]);
+        return [...new Set(names)];
+    }
+
+    /**
+     * Ask for the template's variables and return the finished prompt
+     * @param {Object} template - Template
+     * @returns {Promise<string|null>} Prompt text, or null if cancelled
+     */
+    async fill(template) {
+        const variables = this.getVariables(template.content);
+        if (variables.length === 0) return template.content;
+
+        const fields = variables.map((name, index) => `
+            <div class="form-group">
+                <label class="form-label" for="template-variable-${index}">${Utils.escapeHtml(name)}</label>
+                <input id="template-variable-${index}" class="form-input" name="${Utils.escapeHtml(name)}" required>
+            </div>
+        `).join('');
+
+        const values = await UI.form(template.name, fields, 'Insert');
+        if (!values) return null;
+
+        return template.content.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, name) => values[name] ?? match);
+    }
+
+    /**
+     * Show the list of templates with create, edit and delete actions
+     */
+    async openManager() {
+        const templates = this.getAll();
+        const rows = templates.length === 0
+            ? '<p class="list-dialog-empty">No templates yet. Create one and insert it by typing / followed by its name.</p>'
+            : templates.map(template => `
+                <div class="list-dialog-row">
+                    <div class="list-dialog-details">
+                        <div class="list-dialog-name">/${Utils.escapeHtml(this.getCommand(template))}</div>
+                        <div class="list-dialog-meta">${Utils.escapeHtml(Utils.generatePreview(template.content, 60))}</div>
+                    </div>
+                    <button class="action-btn" data-action="edit" data-id="${Utils.escapeHtml(template.id)}" title="Edit template">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="action-btn" data-action="delete" data-id="${Utils.escapeHtml(template.id)}" title="Delete template">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+
+        const choice = await UI.listDialog('Prompt Templates', rows, 'New Template');
+        if (!choice) return;
+
+        // The editor replaces the list, which comes back once it closes
+        const template = this.get(choice.id);
+        if (choice.action === 'create') {
+            await this.editTemplate();
+        } else if (choice.action === 'edit' && template) {
+            await this.editTemplate(template);
+        } else if (choice.action === 'delete' && template) {
+            await this.deleteTemplate(template);
+        }
+        this.openManager();
+    }
+
+    /**
+     * Create a template, or edit an existing one
+     * @param {Object|null} template - Template to edit, or null to create one
+     */
+    async editTemplate(template = null) {
+        const values = await UI.form(template ? 'Edit Template' : 'New Template', `
+            <div class="form-group">
+                <label class="form-label" for="template-name">Name</label>
+                <input id="template-name" class="form-input" name="name" maxlength="${CONFIG.TEMPLATES.MAX_NAME_LENGTH}" value="${Utils.escapeHtml(template?.name || '')}" required>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="template-content">Prompt</label>
+                <textarea id="template-content" class="form-textarea" name="content" rows="6" maxlength="${CONFIG.UI.MAX_MESSAGE_LENGTH}" placeholder="Summarize {{topic}} for {{audience}}" required>${Utils.escapeHtml(template?.content || '')}</textarea>
+            </div>
+        `, template ? 'Save' : 'Create');
+        if (!values) return;
+
+        const changes = {
+            name: values.name.trim(),
+            content: values.content.trim()
+        };
+
+        if (!this.getCommand(changes)) {
+            UI.showToast('Template names need at least one letter or digit', 'warning');
+            return;
+        }
+
+        const clash = this.findByCommand(this.getCommand(changes));
+        if (Commands.isBuiltIn(this.getCommand(changes)) || (clash && clash.id !== template?.id)) {
+            UI.showToast(`The command /${this.getCommand(changes)} is already taken`, 'warning');
+            return;
+        }
+
+        try {
+            const saved = template
+                ? await API.updateTemplate(template.id, changes)
+                : await API.createTemplate(changes);
+
+            this.templates.set(saved.id, saved);
+            Sync.broadcast('templates-changed');
+            UI.showToast(template ? 'Template saved' : 'Template created', 'success');
+        } catch (error) {
+            console.error('Failed to save template:', error);
+            UI.showToast(`Failed to save template: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Delete a template after confirmation
+     * @param {Object} template - Template to delete
+     */
+    async deleteTemplate(template) {
+        const confirmed = await UI.confirm(`Delete the template "${template.name}"?`, 'Delete Template');
+        if (!confirmed) return;
+
+        try {
+            await API.deleteTemplate(template.id);
+
+            this.templates.delete(template.id);
+            Sync.broadcast('templates-changed');
+            UI.showToast('Template deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete template:', error);
+            UI.showToast(`Failed to delete template: ${ApiError.getUserMessage(error)}`, 'error');
+        }
+    }
+}
+
+// Initialize template manager
+document.addEventListener('DOMContentLoaded', () => {
+    window.Templates = new TemplateManager();
+});
@@ -19,6 +19,17 @@ class UIManager {
         this.bindElements();
         this.bindEvents();
         this.setupResponsive();
+        this.applyTheme(this.getTheme());
+
+        Palette.register({
+            id: 'toggle-theme',
+            title: 'Toggle Theme',
+            subtitle: 'Switch between the dark and light theme',
+            section: 'Settings',
+            icon: 'fa-adjust',
+            keywords: 'dark light appearance colors',
+            run: () => this.toggleTheme()
+        });
     }
 
     /**
@@ -83,7 +94,7 @@ class UIManager {
         // Ctrl/Cmd + Enter to send message
         if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
             const sendButton = document.getElementById('send-btn');
-            if (sendButton && !sendButton.disabled) {
+            if (sendButton && !sendButton.disabled && sendButton.dataset.mode !== 'stop') {
                 sendButton.click();
             }
         }
@@ -103,6 +114,35 @@ class UIManager {
         }
     }
 
+    /**
+     * Get the saved color theme
+     * @returns {string} Theme name
+     */
+    getTheme() {
+        const theme = Utils.storage.get(CONFIG.UI.THEME_STORAGE_KEY);
+        return CONFIG.UI.THEMES.includes(theme) ? theme : CONFIG.UI.THEMES[0];
+    }
+
+    /**
+     * Apply a color theme to the page
+     * @param {string} theme - Theme name
+     */
+    applyTheme(theme) {
+        document.documentElement.dataset.theme = theme;
+    }
+
+    /**
+     * Switch to the next color theme and remember it
+     */
+    toggleTheme() {
+        const themes = CONFIG.UI.THEMES;
+        const theme = themes[(themes.indexOf(this.getTheme()) + 1) % themes.length];
+
+        Utils.storage.set(CONFIG.UI.THEME_STORAGE_KEY, theme);
+        this.applyTheme(theme);
+        this.showToast(`Switched to the ${theme} theme`, 'info');
+    }
+
     /**
      * Handle visibility change
      */
@@ -121,8 +161,9 @@ class UIManager {
      * @param {string} message - Toast message
      * @param {string} type - Toast type (success, error, warning, info)
      * @param {number} duration - Duration in milliseconds
+     * @param {Object} action - Optional `{ label, run }` button, such as Undo
      */
-    showToast(message, type = 'info', duration = CONFIG.UI.TOAST_DURATION) {
+    showToast(message, type = 'info', duration = CONFIG.UI.TOAST_DURATION, action = null) {
         if (!this.toastContainer) return;
 
         const toast = document.createElement('div');
@@ -139,8 +180,17 @@ class UIManager {
         toast.innerHTML = `
             <i class="${iconMap[type] || iconMap.info}"></i>
             <span>${Utils.escapeHtml(message)}</span>
+            ${action ? `<button class="toast-action">${Utils.escapeHtml(action.label)}</button>` : ''}
         `;
 
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.removeToast(toast);
+                action.run();
+            });
+        }
+
         // Add to container
         this.toastContainer.appendChild(toast);
 
@@ -370,6 +420,123 @@ class UIManager {
         });
     }
 
+    /**
+     * Create form dialog
+     * @param {string} title - Dialog title
+     * @param {string} fields - Form fields HTML; each field needs a `name`
+     * @param {string} confirmLabel - Submit button label
+     * @returns {Promise<Object|null>} Field values by name, or null if cancelled
+     */
+    form(title, fields, confirmLabel = 'Save') {
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 480px;">
+                    <form class="card">
+                        <div class="card-header">
+                            <h3 class="card-title">${Utils.escapeHtml(title)}</h3>
+                        </div>
+                        <div class="card-body">
+                            ${fields}
+                        </div>
+                        <div class="card-footer">
+                            <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                            <button type="submit" class="btn btn-primary">${Utils.escapeHtml(confirmLabel)}</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            const form = modal.querySelector('form');
+
+            const close = (result) => {
+                document.removeEventListener('keydown', handleEscape);
+                document.body.removeChild(modal);
+                resolve(result);
+            };
+
+            // Handle escape key
+            const handleEscape = (event) => {
+                if (event.key === 'Escape') {
+                    close(null);
+                }
+            };
+            document.addEventListener('keydown', handleEscape);
+
+            // Handle submit and clicks
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                close(Object.fromEntries(new FormData(form)));
+            });
+
+            modal.addEventListener('click', (event) => {
+                if (event.target.dataset.action === 'cancel' || event.target === modal) {
+                    close(null);
+                }
+            });
+
+            document.body.appendChild(modal);
+            form.querySelector('input, select, textarea')?.focus();
+        });
+    }
+
+    /**
+     * Create a dialog listing items with their own actions
+     * @param {string} title - Dialog title
+     * @param {string} items - Items HTML; action buttons carry `data-action` and `data-id`
+     * @param {string} createLabel - Label of the button that creates a new item; no button when omitted
+     * @returns {Promise<Object|null>} `{ action, id }` of the clicked button, or null if closed
+     */
+    listDialog(title, items, createLabel = null) {
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 480px;">
+                    <div class="card">
+                        <div class="card-header">
+                            <h3 class="card-title">${Utils.escapeHtml(title)}</h3>
+                        </div>
+                        <div class="card-body">
+                            <div class="list-dialog-items">${items}</div>
+                        </div>
+                        <div class="card-footer">
+                            <button class="btn btn-secondary" data-action="close">Close</button>
+                            ${createLabel ? `<button class="btn btn-primary" data-action="create">${Utils.escapeHtml(createLabel)}</button>` : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const close = (result) => {
+                document.removeEventListener('keydown', handleEscape);
+                document.body.removeChild(modal);
+                resolve(result);
+            };
+
+            // Handle escape key
+            const handleEscape = (event) => {
+                if (event.key === 'Escape') {
+                    close(null);
+                }
+            };
+            document.addEventListener('keydown', handleEscape);
+
+            // Handle clicks
+            modal.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-action]');
+                if (event.target === modal || button?.dataset.action === 'close') {
+                    close(null);
+                } else if (button) {
+                    close({ action: button.dataset.action, id: button.dataset.id || null });
+                }
+            });
+
+            document.body.appendChild(modal);
+        });
+    }
+
     /**
      * Copy text to clipboard and show feedback
      * @param {string} text - Text to copy
@@ -110,7 +110,8 @@ const Utils = {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, so the result is also safe inside attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     },
 
     /**
@@ -146,7 +147,7 @@ const Utils = {
      * @returns {string} Generated title
      */
     generateChatTitle(text) {
-        if (!text || text.length === 0) return 'New Chat';
+        if (!text || text.length === 0) return CONFIG.CHAT.DEFAULT_TITLE;
         
         const cleanText = text.replace(/\n/g, ' ').trim();
         const words = cleanText.split(' ').slice(0, 6); // First 6 words
@@ -156,7 +157,7 @@ const Utils = {
             title = title.substring(0, CONFIG.CHAT.MAX_CHAT_TITLE_LENGTH - 3) + '...';
         }
         
-        return title || 'New Chat';
+        return title || CONFIG.CHAT.DEFAULT_TITLE;
     },
 
     /**
@@ -373,11 +374,15 @@ const Utils = {
                 return `<blockquote class="markdown-quote">${lines}</blockquote>`;
             })
             
-            // Images: ![alt](url)
-            .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1" class="markdown-image" loading="lazy">')
+            // Images: ![alt](url), only from web URLs
+            .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, url) => this.isSafeUrl(url)
+                ? `<img src="${url}" alt="${alt}" class="markdown-image" loading="lazy">`
+                : alt)
             
-            // Links: [text](url)
-            .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" class="markdown-link" target="_blank" rel="noopener noreferrer">$1</a>')
+            // Links: [text](url), so javascript: and other schemes never become clickable
+            .replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, label, url) => this.isSafeUrl(url)
+                ? `<a href="${url}" class="markdown-link" target="_blank" rel="noopener noreferrer">${label}</a>`
+                : label)
             
             // Inline code: `code` (must be done after code blocks)
             .replace(/`([^`\n]+?)`/g, '<code class="inline-code">$1</code>')
@@ -386,6 +391,15 @@ const Utils = {
             .replace(/\n/g, '<br>');
     },
 
+    /**
+     * Check that a markdown link or image URL uses a scheme that is safe to render
+     * @param {string} url - URL as written in the message, already HTML-escaped
+     * @returns {boolean} True for http, https and mailto URLs
+     */
+    isSafeUrl(url) {
+        return /^(https?:\/\/|mailto:)/i.test(url.trim());
+    },
+
     /**
      * Validate email format
      * @param {string} email - Email to validate
@@ -469,6 +483,26 @@ const Utils = {
         }
     },
 
+    /**
+     * Format message text with enhanced markdown and math
+     * @param {string} text - Message text
+     * @returns {string} Formatted HTML
+     */
+    formatMessageText(text) {
+        // Escape HTML first, then apply markdown
+        const escapedText = this.escapeHtml(text);
+        const markdownHTML = this.parseSimpleMarkdown(escapedText);
+
+        // Create a temporary element to process math
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = markdownHTML;
+
+        // Render math expressions
+        this.renderMath(tempDiv);
+
+        return tempDiv.innerHTML;
+    },
+
     /**
      * Generate random color for avatars
      * @param {string} seed - Seed for consistent colors
@@ -484,6 +518,42 @@ const Utils = {
         return `hsl(${hue}, 70%, 60%)`;
     },
 
+    /**
+     * Fuzzy match a query against text, as in "nwcht" matching "New Chat"
+     * @param {string} query - Characters to find in order
+     * @param {string} text - Text to search
+     * @returns {Object|null} `{ score, indices }` with the matched positions, counted in code points, or null if there is no match
+     */
+    fuzzyMatch(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        // Lowercased one character at a time, so positions still line up with Array.from(text)
+        // for emoji and for characters whose lowercase form is longer
+        const haystack = Array.from(text, char => char.toLowerCase());
+        const indices = [];
+        let score = 0;
+        let position = 0;
+
+        for (const char of needle) {
+            const index = haystack.findIndex((candidate, i) => i >= position && candidate.includes(char));
+            if (index === -1) return null;
+
+            // Reward runs and word starts, penalise gaps
+            if (indices.length > 0 && index === indices[indices.length - 1] + 1) {
+                score += 5;
+            } else if (index === 0 || /[\s\-_/.]/.test(haystack[index - 1])) {
+                score += 3;
+            } else {
+                score -= Math.min(index - position, 3);
+            }
+
+            indices.push(index);
+            position = index + 1;
+        }
+
+        // Prefer shorter texts when the match is otherwise equal
+        return { score: score - haystack.length * 0.01, indices };
+    },
+
     /**
      * Storage helpers
      */